@@ -3,16 +3,13 @@
 var express = require('express');
 var app = express();
 var bifocals_module = require('../index');
-var Bifocals = bifocals_module.Bifocals;
 
-app.configure(function(){
-	app.set('views', __dirname + '/templates');
-	bifocals_module.addRenderer('text/html', require('consolidate').handlebars); 
-});
+app.set('views', __dirname + '/templates');
+app.set('view engine', 'html');
+app.locals.site_name = 'Bifocals';
+bifocals_module.addRenderer('text/html', require('../renderers/handlebars_renderer'));
 
-app.use(bifocals_module.__express({
-	app : app
-}));
+app.use(bifocals_module.__express());
 
 app.get('/', function (req, res) {
 	var data = {
@@ -20,23 +17,26 @@ app.get('/', function (req, res) {
 		'date' : new Date()
 	};
 
-	var first_child = res.child('first_child');
+	var first_child = res.bifocals.child('first_child');
 	first_child.render('sub1');
 
-	var second_child = res.child('second_child', 'sub2');
+	var second_child = res.bifocals.child('second_child', 'sub2');
 	second_child.render('sub1');
 
-	var third_child = res.child('third_child');
+	var third_child = res.bifocals.child('third_child');
 	process.nextTick(function () {
 		third_child.render('sub3');
 	});
 
-	res.render('index', data, function (err) {
+	res.render('index', data);
+});
+
+app.get('/string', function (req, res) {
+	res.render('sub1', function (err, html) {
 		if (err) {
 			throw err;
-		} else {
-			console.log('render complete');
 		}
+		res.send(html.toUpperCase());
 	});
 });
 
@@ -5,45 +5,220 @@
 */
 "use strict";
 
-var _renderers = {};
+var Environment = require('./lib/environment');
+
+var default_environment = new Environment();
+
+/**
+ * Creates an environment with its own renderers, engines, layouts, components and cache store.
+ * Views created by it (via environment.createView) use only its registries. See lib/environment.js
+ * 
+ * @param  {Object} options optional, see Environment
+ * @return {Environment}
+ */
+exports.createInstance = function createInstance(options) {
+	return new Environment(options);
+};
+
+/**
+ * The environment constructor, see lib/environment.js
+ * 
+ * @type {Function}
+ */
+exports.Environment = Environment;
+
+/**
+ * Returns the default environment. The functions of this module, and views created with "new Bifocals", all use it
+ * 
+ * @return {Environment}
+ */
+exports.getInstance = function getInstance() {
+	return default_environment;
+};
 
 /**
- * Registers a renderer object to a content type
+ * Registers a renderer object to a content type, see Environment.addRenderer
  * 
  * @param {string} content_type The content type (or mime type) of the request
- * @param {Renderer} renderer     The renderer object that will handle view data
+ * @param {Renderer|String} renderer The renderer object that will handle view data, or the name of an engine registered via addEngine
  */
 exports.addRenderer = function addRenderer(content_type, renderer) {
-	_renderers[content_type] = renderer;
+	default_environment.addRenderer(content_type, renderer);
 };
 
 /**
- * Returns a renderer for a content type
+ * Returns a renderer for a content type, see Environment.getRenderer
  * 
  * @param  {string} content_type The content type (or mime type) of the request
  * @return {Renderer}              The renderer associated with the content type
  * @throws {Error} If a renderer has not been added to the content_type
  */
 exports.getRenderer = function getRenderer(content_type) {
-	if (_renderers[content_type]) {
-		return _renderers[content_type];
-	} else {
-		throw new Error('Unsupported content type :' + content_type);
-	}
+	return default_environment.getRenderer(content_type);
+};
+
+/**
+ * Registers a renderer by name, see Environment.addEngine
+ * 
+ * @param {String} name
+ * @param {Renderer} renderer   The renderer object that will handle view data
+ * @param {Array} extensions    optional, template extensions such as ".md"
+ */
+exports.addEngine = function addEngine(name, renderer, extensions) {
+	default_environment.addEngine(name, renderer, extensions);
+};
+
+/**
+ * Returns a renderer by name, see Environment.getEngine
+ * 
+ * @param  {String} name
+ * @return {Renderer}
+ * @throws {Error} If no engine has been added with the name
+ */
+exports.getEngine = function getEngine(name) {
+	return default_environment.getEngine(name);
+};
+
+/**
+ * Returns the name of the engine registered to a template's extension, see Environment.getEngineName
+ * 
+ * @param  {String} template
+ * @return {String|null}
+ */
+exports.getEngineName = function getEngineName(template) {
+	return default_environment.getEngineName(template);
+};
+
+/**
+ * Returns every content type that has a renderer, in the order they were added
+ * 
+ * @return {Array}
+ */
+exports.getContentTypes = function getContentTypes() {
+	return default_environment.getContentTypes();
+};
+
+/**
+ * Picks the best registered content type for the provided Accept header, see Environment.negotiateContentType
+ * 
+ * @param  {String} accept The raw Accept header of the request
+ * @return {String|null}   The content type, or null if no registered content type is acceptable
+ */
+exports.negotiateContentType = function negotiateContentType(accept) {
+	return default_environment.negotiateContentType(accept);
+};
+
+/**
+ * Registers a layout, which views can wrap themselves in via Bifocals.layout. See Environment.addLayout
+ * 
+ * @param {String}   name  The name views use to reference the layout
+ * @param {Function} setup Called with a new layout view every time the layout is used
+ */
+exports.addLayout = function addLayout(name, setup) {
+	default_environment.addLayout(name, setup);
+};
+
+/**
+ * Returns the setup function of a layout
+ * 
+ * @param  {String} name
+ * @return {Function|null} null if the layout was not registered
+ */
+exports.getLayout = function getLayout(name) {
+	return default_environment.getLayout(name);
+};
+
+/**
+ * Registers a component, a reusable child view with its own data loader. See Environment.addComponent
+ * 
+ * @param {String}   name
+ * @param {Function} loader Called with the new child view, the params provided to Bifocals.component, and a callback
+ */
+exports.addComponent = function addComponent(name, loader) {
+	default_environment.addComponent(name, loader);
+};
+
+/**
+ * Returns the data loader of a component
+ * 
+ * @param  {String} name
+ * @return {Function}
+ * @throws {Error} If a component has not been added with the name
+ */
+exports.getComponent = function getComponent(name) {
+	return default_environment.getComponent(name);
+};
+
+/**
+ * Replaces the store used to cache the output of child views. See lib/fragment_cache.js for the interface a store must implement
+ * 
+ * @param {Object} store
+ */
+exports.setCacheStore = function setCacheStore(store) {
+	default_environment.setCacheStore(store);
+};
+
+/**
+ * Returns the store used to cache the output of child views. By default this is an in memory, least recently used cache
+ * 
+ * @return {Object}
+ */
+exports.getCacheStore = function getCacheStore() {
+	return default_environment.getCacheStore();
+};
+
+/**
+ * Removes a cached child view output
+ * 
+ * @param  {String}   key      The key provided in the cache option of Bifocals.child
+ * @param  {Function} callback optional, callback(error)
+ */
+exports.invalidateCache = function invalidateCache(key, callback) {
+	default_environment.invalidateCache(key, callback);
+};
+
+/**
+ * Removes every cached child view output that was tagged with the tag
+ * 
+ * @param  {String}   tag      One of the tags provided in the cache option of Bifocals.child
+ * @param  {Function} callback optional, callback(error)
+ */
+exports.invalidateCacheTag = function invalidateCacheTag(tag, callback) {
+	default_environment.invalidateCacheTag(tag, callback);
+};
+
+/**
+ * Sets the messages that views translate through their t helper, see Environment.setMessageCatalog
+ * 
+ * @param {Object|Function} catalog
+ */
+exports.setMessageCatalog = function setMessageCatalog(catalog) {
+	default_environment.setMessageCatalog(catalog);
 };
 
 /**
- * Express middleware.
+ * Returns the translation of a message, see Environment.getMessage
+ * 
+ * @param  {String} locale
+ * @param  {String} key
+ * @return {String|null} null if the message has no translation
+ */
+exports.getMessage = function getMessage(locale, key) {
+	return default_environment.getMessage(locale, key);
+};
+
+/**
+ * Express (4 and up) and connect middleware. Each request gets a root view as res.bifocals, and res.render renders it.
+ * 
+ * The content type of each request is negotiated from its Accept header against every content type
+ * registered via addRenderer. If none are acceptable, rendering the view responds with 406 Not Acceptable.
  * 
  * var bifocals_module = require('bifocals');
  * 
- * app.use(bifocals_module.__express({
- *	app : app
- * }));
- *
+ * app.use(bifocals_module.__express());
  * 
- * @param  {[type]} options [description]
- * @return {[type]}         [description]
+ * @param  {Object} options optional, see lib/express_extensions.js
+ * @return {Function} middleware(req, res, next)
  */
 module.exports.__express = function (options) {
 	// lazy load, to help modularize some parts the library.
@@ -64,6 +239,16 @@ module.exports.Bifocals = require('./lib/bifocals');
  */
 module.exports.Renderer = require('./lib/renderer');
 
+/**
+ * Adapts callback, promise and stream returning functions into Renderer classes, see lib/adapters.js.
+ * addRenderer and addEngine detect the kind of function, the adapters force one
+ * 
+ * bifocals_module.addRenderer('text/html', bifocals_module.adapters.callback(consolidate.handlebars));
+ * 
+ * @type {Object}
+ */
+module.exports.adapters = require('./lib/adapters');
+
 /**
  * [render_states description]
  * @type {[type]}
@@ -75,4 +260,27 @@ var render_states = exports.RENDER_STATES = {
 	RENDER_COMPLETE : 3,
 	RENDER_FAILED : 4,
 	RENDER_CANCELED : 5
-};
\ No newline at end of file
+};
+
+/**
+ * The render states each render state may move to. Bifocals ignores any other transition.
+ * Canceled views may only be restarted by a forced render, and completed views never change again.
+ * @type {Object}
+ */
+var render_transitions = exports.RENDER_TRANSITIONS = {};
+render_transitions[render_states.RENDER_NOT_CALLED] = [render_states.RENDER_REQUESTED, render_states.RENDER_FAILED, render_states.RENDER_CANCELED];
+render_transitions[render_states.RENDER_REQUESTED] = [render_states.RENDER_STARTED, render_states.RENDER_FAILED, render_states.RENDER_CANCELED];
+render_transitions[render_states.RENDER_STARTED] = [render_states.RENDER_COMPLETE, render_states.RENDER_FAILED, render_states.RENDER_CANCELED];
+render_transitions[render_states.RENDER_COMPLETE] = [];
+render_transitions[render_states.RENDER_FAILED] = [render_states.RENDER_CANCELED];
+render_transitions[render_states.RENDER_CANCELED] = [render_states.RENDER_REQUESTED];
+
+/**
+ * How the root Bifocals view writes to the response, see Bifocals.render_mode
+ * @type {Object}
+ */
+exports.RENDER_MODES = {
+	BUFFERED : 0,
+	STREAMED : 1,
+	PIPELINED : 2
+};
@@ -0,0 +1,213 @@
+"use strict";
+
+var util_module = require('util');
+var Renderer = require('./renderer');
+
+/**
+ * Whether the renderer is a Renderer class, at any depth of inheritance. ES classes that extend Renderer count too
+ * 
+ * @param  {Function} renderer
+ * @return {Boolean}
+ */
+var isRendererClass = module.exports.isRendererClass = function adapters_isRendererClass(renderer) {
+	return typeof renderer === "function" && (renderer === Renderer || renderer.prototype instanceof Renderer);
+};
+
+/**
+ * Whether the value is a promise, or any other thenable
+ * 
+ * @param  {Mixed}  value
+ * @return {Boolean}
+ */
+var isThenable = function adapters_isThenable(value) {
+	return value !== null && (typeof value === "object" || typeof value === "function") && typeof value.then === "function";
+};
+
+/**
+ * Whether the value is a readable stream
+ * 
+ * @param  {Mixed}  value
+ * @return {Boolean}
+ */
+var isReadable = function adapters_isReadable(value) {
+	return value !== null && typeof value === "object" && typeof value.pipe === "function" && typeof value.on === "function";
+};
+
+/**
+ * Finishes once the promise settles, with the value it resolved to as the output
+ * 
+ * @param  {Promise}  promise
+ * @param  {Function} finish  finish(error, output)
+ */
+var fromPromise = function adapters_fromPromise(promise, finish) {
+	promise.then(function (output) {
+		finish(null, output);
+	}, function (error) {
+		finish(error || new Error('The renderer rejected without an error'));
+	});
+};
+
+/**
+ * Writes each chunk of the stream to the renderer's response, and finishes once the stream ends
+ * 
+ * @param  {stream.Readable} stream
+ * @param  {Renderer}        renderer
+ * @param  {Function}        finish   finish(error)
+ */
+var fromStream = function adapters_fromStream(stream, renderer, finish) {
+	stream.on('data', function (chunk) {
+		renderer.response.write(chunk);
+	});
+
+	stream.on('error', function (error) {
+		finish(error);
+	});
+
+	stream.on('end', function () {
+		finish(null);
+	});
+};
+
+/**
+ * Builds a Renderer class around a render function, so that every kind of renderer writes, ends and fails the same way.
+ * 
+ * The render function is called with the renderer, the template path and finish(error, output). Any output provided to finish
+ * is written to the response, then the renderer ends. Only the first call to finish counts, and the render function may throw.
+ * 
+ * The template extensions (see Bifocals.resolveTemplate) are taken from the options, or else from the adapted function
+ * 
+ * @param  {String}   kind    The kind of renderer that was adapted, available as AdaptedRenderer.adapter
+ * @param  {Function} fn      The function that was adapted
+ * @param  {Object}   options optional, extension (String) or extensions (Array)
+ * @param  {Function} run     run(renderer, template, finish)
+ * @return {Function}         A Renderer class
+ */
+var adapt = function adapters_adapt(kind, fn, options, run) {
+	var source = options && (typeof options.extension === "string" || Array.isArray(options.extensions)) ? options : fn;
+	var AdaptedRenderer = function AdaptedRenderer() {
+		Renderer.call(this);
+	};
+
+	util_module.inherits(AdaptedRenderer, Renderer);
+
+	AdaptedRenderer.adapter = kind;
+
+	if (Array.isArray(source.extensions)) {
+		AdaptedRenderer.extensions = source.extensions;
+	} else if (typeof source.extension === "string") {
+		AdaptedRenderer.extension = source.extension;
+	}
+
+	AdaptedRenderer.prototype.render = function adapted_render(template) {
+		var _self = this;
+		var done = false;
+
+		var finish = function (error, output) {
+			if (done) {
+				return;
+			}
+			done = true;
+
+			if (error) {
+				return _self._error(error, template);
+			}
+
+			if (typeof output !== "undefined" && output !== null) {
+				try {
+					_self.response.write(output);
+				} catch (write_error) {
+					return _self._error(write_error, template);
+				}
+			}
+
+			_self._end();
+			_self.response.end();
+		};
+
+		try {
+			run(this, template, finish);
+		} catch (error) {
+			// Errors thrown once the renderer has finished belong to whoever handled the outcome
+			if (done) {
+				throw error;
+			}
+			finish(error);
+		}
+	};
+
+	return AdaptedRenderer;
+};
+
+/**
+ * Adapts an express style renderer, such as the ones provided by consolidate
+ * 
+ * bifocals_module.addRenderer('text/html', adapters.callback(consolidate.handlebars, { extension : '.hbs' }));
+ * 
+ * @param  {Function} fn      fn(path, data, callback(error, output))
+ * @param  {Object}   options optional, the template extension (String) or extensions (Array). default: fn.extension or fn.extensions
+ * @return {Function}         A Renderer class
+ */
+module.exports.callback = function adapters_callback(fn, options) {
+	return adapt('callback', fn, options, function (renderer, template, finish) {
+		fn(template, renderer.data, finish);
+	});
+};
+
+/**
+ * Adapts a renderer that returns a promise of the output
+ * 
+ * bifocals_module.addRenderer('text/html', adapters.promise(function (path, data) {
+ *     return engine.renderFile(path, data);
+ * }));
+ * 
+ * @param  {Function} fn      fn(path, data), returns a Promise
+ * @param  {Object}   options optional, the template extension (String) or extensions (Array). default: fn.extension or fn.extensions
+ * @return {Function}         A Renderer class
+ */
+module.exports.promise = function adapters_promise(fn, options) {
+	return adapt('promise', fn, options, function (renderer, template, finish) {
+		fromPromise(fn(template, renderer.data), finish);
+	});
+};
+
+/**
+ * Adapts a renderer that returns a readable stream of the output. Each chunk is written to the response as it arrives
+ * 
+ * @param  {Function} fn      fn(path, data), returns a stream.Readable
+ * @param  {Object}   options optional, the template extension (String) or extensions (Array). default: fn.extension or fn.extensions
+ * @return {Function}         A Renderer class
+ */
+module.exports.stream = function adapters_stream(fn, options) {
+	return adapt('stream', fn, options, function (renderer, template, finish) {
+		fromStream(fn(template, renderer.data), renderer, finish);
+	});
+};
+
+/**
+ * Returns a Renderer class for any supported renderer. Renderer classes are returned as they are.
+ * Other functions are called as fn(path, data, callback). If they return a promise or a readable stream, that provides
+ * the output, otherwise they must call the callback. Their extension or extensions property is kept, see Bifocals.resolveTemplate
+ * 
+ * @param  {Function} renderer
+ * @return {Function}          A Renderer class
+ * @throws {Error} If the renderer is not a function
+ */
+module.exports.toRenderer = function adapters_toRenderer(renderer) {
+	if (isRendererClass(renderer)) {
+		return renderer;
+	}
+
+	if (typeof renderer !== "function") {
+		throw new Error('Renderers must be functions or Renderer classes');
+	}
+
+	return adapt('function', renderer, null, function (adapted, template, finish) {
+		var result = renderer(template, adapted.data, finish);
+
+		if (isThenable(result)) {
+			fromPromise(result, finish);
+		} else if (isReadable(result)) {
+			fromStream(result, adapted, finish);
+		}
+	});
+};
@@ -6,7 +6,44 @@
 "use strict";
 
 var util_module = require('util');
+var path_module = require('path');
+var http_module = require('http');
+var EventEmitter = require('events').EventEmitter;
+var stream_module = require('stream');
 var root_module = require('../index');
+var template_resolver_module = require('./template_resolver');
+var SlotWriter = require('./slot_writer');
+var PipeWriter = require('./pipe_writer');
+var conditional_get_module = require('./conditional_get');
+
+/**
+ * Matches child keys in the form "name[index]", see Bifocals.child
+ * 
+ * @type {RegExp}
+ */
+var LIST_KEY = /^(.+)\[(\d+)\]$/;
+
+/**
+ * Sets the output of a child view into template data. Keys in the form "name[index]" place the output in a list under "name"
+ * 
+ * @param  {Object} data
+ * @param  {String} key
+ * @param  {Mixed} value
+ */
+var setChildOutput = function bifocals_setChildOutput(data, key, value) {
+	var match = LIST_KEY.exec(key);
+	var list = null;
+
+	if (match === null) {
+		data[key] = value;
+		return;
+	}
+
+	// The list is copied so that changes never leak into data that it was shared with
+	list = Array.isArray(data[match[1]]) ? data[match[1]].slice() : [];
+	list[parseInt(match[2], 10)] = value;
+	data[match[1]] = list;
+};
 
 /**
  * Renders templates with many output options, and unlimited asynchronous sub views
@@ -28,7 +65,7 @@ var root_module = require('../index');
  * 
  * 
  * //Create the parent:
- * var view = new Bifocals(response);
+ * var view = new Bifocals(response, request);
  * 
  * //Create the child:
  * var child = template.child("header", "templates/header.html");
@@ -39,26 +76,217 @@ var root_module = require('../index');
  * 
  * //And you are done! You don't have to tell the child views to render, that is all handled for you.
  * 
+ * EVENTS:
+ * render-requested: render has been called, the view is waiting on its children
+ * render-started: the template has been handed to the renderer
+ * child-complete (key, child): a child view has finished rendering
+ * end: the view has finished rendering
+ * error (error, view): an error occurred in this view, or in a child view that did not handle it. See Bifocals.error
+ * cancel: the render has been canceled
+ * timeout (view): this view, or a child view that did not handle it, timed out. See Bifocals.render_timeout
+ * 
  * @author Aaron Hedges <aaron@dashron.com>
  */
-var Bifocals = module.exports = function Bifocals(response) {
+var Bifocals = module.exports = function Bifocals(response, request) {
+	var _self = this;
+	var then = null;
+	EventEmitter.call(this);
+
 	this._child_views = {};
 	this._data = {};
+	this._holds = [];
+	this._promise = new Promise(function (resolve, reject) {
+		_self._resolve = resolve;
+		_self._reject = reject;
+	});
+	// Every failure is also sent to the error handler, so a promise that nobody is listening to is not an unhandled rejection
+	this._promise.catch(function () {});
+
+	// Errors that nobody handles are thrown, unless someone is waiting on the promise. See Bifocals._handleError
+	then = this._promise.then;
+	this._promise.then = function () {
+		_self._observed = true;
+		return then.apply(this, arguments);
+	};
 
 	this.render_state = root_module.RENDER_STATES.RENDER_NOT_CALLED;
+	this._created_at = Date.now();
 	this.parent = null;
 	this.root = this;
 	this._response = response;
 	this._response.status_code = 200;
+	this._request = request || response.req || null;
 };
 
+util_module.inherits(Bifocals, EventEmitter);
+
 Bifocals.prototype._data = null;
 Bifocals.prototype._child_views = null;
 Bifocals.prototype._response = null;
-Bifocals.prototype._end = function bifocals_defaultEnd(end) {};
+Bifocals.prototype._request = null;
+Bifocals.prototype._etag = null;
+Bifocals.prototype._last_modified = null;
+Bifocals.prototype._promise = null;
+Bifocals.prototype._resolve = null;
+Bifocals.prototype._reject = null;
+Bifocals.prototype._slot_writer = null;
+Bifocals.prototype._timer = null;
+Bifocals.prototype._timed_out = false;
+Bifocals.prototype._caught = false;
+Bifocals.prototype._observed = false;
+Bifocals.prototype._created_at = null;
+Bifocals.prototype._finished_at = null;
+Bifocals.prototype._layout_view = null;
+Bifocals.prototype._cache = null;
+Bifocals.prototype._cache_lookup = null;
+Bifocals.prototype._cache_pending = false;
+Bifocals.prototype._cache_hit = false;
+Bifocals.prototype._holds = null;
+
+/**
+ * An error for a response that ended with an error status code
+ * 
+ * @param  {Number} code
+ * @return {Error} with a status property of the code
+ */
+var statusCodeError = function bifocals_statusCodeError(code) {
+	var error = new Error(http_module.STATUS_CODES[code] || 'Status ' + code);
+	error.status = code;
+	return error;
+};
+
+/**
+ * Adds everything a root view expects of a response to an object that only has write and end
+ * 
+ * @param  {Object} response
+ * @return {Object} response
+ */
+var detachedResponse = function bifocals_detachedResponse(response) {
+	response.statusCode = 200;
+	response.headers = {};
+	response.setHeader = function (name, value) {
+		this.headers[name.toLowerCase()] = value;
+	};
+	response.getHeader = function (name) {
+		return this.headers[name.toLowerCase()];
+	};
+	return response;
+};
+
+/**
+ * Builds and renders a root view that is not tied to an http response
+ * 
+ * The outcome comes from the view's promise, so anything that fails the root (such as statusNotFound, or a child that times out)
+ * fails the render. Views that render an error template are failed too, by the status code they end with.
+ * 
+ * @param  {Object}   response The detached response the view writes to
+ * @param  {String}   template optional, if null the setup function must render the view itself
+ * @param  {Object}   data     optional, each key is set on the view
+ * @param  {Function} setup    optional, called with the view before it renders, to set its content type and dir and to create its children
+ * @param  {Function} callback callback(error), called once the view has rendered or failed
+ */
+var renderDetached = function bifocals_renderDetached(response, template, data, setup, callback) {
+	var view = new Bifocals(detachedResponse(response));
+	var key = null;
+
+	view.content_type = 'text/html';
+
+	if (data !== null && typeof data === "object") {
+		for (key in data) {
+			view.set(key, data[key]);
+		}
+	}
+
+	try {
+		if (typeof setup === "function") {
+			setup(view);
+		}
+	} catch (error) {
+		return callback(error);
+	}
+
+	view.promise().then(function () {
+		callback(response.statusCode >= 400 ? statusCodeError(response.statusCode) : null);
+	}, callback);
+
+	if (typeof template === "string") {
+		view.render(template);
+	}
+};
+
+/**
+ * Renders a view, and all of its children, into a string instead of an http response. Useful for emails, static pages and background jobs.
+ * 
+ * Bifocals.renderToString('emails/welcome', { user : user }, function (view) {
+ *     view.dir = __dirname + '/templates/';
+ *     view.child('footer', 'emails/footer');
+ * }).then(function (html) {
+ *     mailer.send(user.email, html);
+ * });
+ * 
+ * @param  {String}   template optional, if null the setup function must render the view itself
+ * @param  {Object}   data     optional, each key is set on the root view
+ * @param  {Function} setup    optional, called with the root view before it renders. The content type defaults to text/html
+ * @param  {Function} callback optional, callback(error, output)
+ * @return {Promise} Resolves with the output. Rejects if the view fails, or ends with a status code of 400 and up (such as statusNotFound)
+ */
+Bifocals.renderToString = function bifocals_renderToString(template, data, setup, callback) {
+	var promise = new Promise(function (resolve, reject) {
+		var chunks = [];
+
+		renderDetached({
+			write : function (chunk) {
+				chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk)));
+			},
+			end : function () {}
+		}, template, data, setup, function (error) {
+			if (error) {
+				reject(error);
+			} else {
+				resolve(Buffer.concat(chunks).toString());
+			}
+		});
+	});
+
+	if (typeof callback === "function") {
+		promise.then(function (output) {
+			callback(null, output);
+		}, callback);
+	}
+
+	return promise;
+};
+
+/**
+ * Renders a view, and all of its children, into a readable stream instead of an http response.
+ * Set the view's render_mode in setup to receive the output as each section is ready, see Bifocals.render_mode
+ * 
+ * Bifocals.renderToStream('pages/about', {}, function (view) {
+ *     view.dir = __dirname + '/templates/';
+ * }).pipe(fs.createWriteStream('public/about.html'));
+ * 
+ * @param  {String}   template optional, if null the setup function must render the view itself
+ * @param  {Object}   data  optional, each key is set on the root view
+ * @param  {Function} setup optional, called with the root view before it renders. The content type defaults to text/html
+ * @return {stream.Readable} Emits an error event if the view fails, or ends with a status code of 400 and up
+ */
+Bifocals.renderToStream = function bifocals_renderToStream(template, data, setup) {
+	var output = new stream_module.PassThrough();
+
+	// Render on the next tick, so there is a chance to listen for errors
+	process.nextTick(function () {
+		renderDetached(output, template, data, setup, function (error) {
+			if (error) {
+				output.emit('error', error);
+			}
+		});
+	});
+
+	return output;
+};
 
 /**
- * Error handler, any time an error occurs it will be provided to this function. Can be overridden via Bifocals.error(fn);
+ * Error handler, used when no view in the chain of parents is listening for the error. See Bifocals.error(fn);
  * 
  * @param  {Error} error
  */
@@ -75,6 +303,23 @@ Bifocals.prototype._error = function bifocals_defaultError(error) {
  */
 Bifocals.prototype.content_type = null;
 
+/**
+ * The name of the engine that renders this view, see module.addEngine. null (default) picks the engine registered to the template's extension,
+ * or else the renderer registered to the content type. Unlike the content type, children do not inherit this.
+ * The root view's content type is still the one sent to the client.
+ * 
+ * @type {String}
+ */
+Bifocals.prototype.engine = null;
+
+/**
+ * The environment whose renderers, layouts, components and cache store this view uses, see lib/environment.js.
+ * null (default) uses the default environment. Children and layouts share their parent's environment
+ * 
+ * @type {Environment}
+ */
+Bifocals.prototype.environment = null;
+
 /**
  * The template that the view should render when complete. This is provided to the renderer along with the dir.
  * Changing this will override any previously assigned templates, and will be counted as an override for any template provided to a render call.
@@ -91,6 +336,29 @@ Bifocals.prototype.template = null;
  */
 Bifocals.prototype.dir = '';
 
+/**
+ * An ordered list of directories to search for templates, such as [theme, app, package defaults]. When set, dir is not used.
+ * Templates are searched for in each directory, and a missing template fails the view with every path that was searched
+ * 
+ * @type {Array}
+ */
+Bifocals.prototype.dirs = null;
+
+/**
+ * The theme of this view and its children. Each template directory is searched for themes/<theme>/<template> before the template itself
+ * 
+ * @type {String}
+ */
+Bifocals.prototype.theme = null;
+
+/**
+ * The locale of this view and its children, such as "fr" or "fr-CA". Templates are searched for as template.<locale>.ext before
+ * template.ext, and the t helper translates through the environment's message catalog. See Environment.setMessageCatalog
+ * 
+ * @type {String}
+ */
+Bifocals.prototype.locale = null;
+
 /**
  * The Bifocal view that created this view as a child.
  * Changing this will alter what happens when a child element finishes rendering. On success, a child element attempts to render it's parent element.
@@ -111,10 +379,68 @@ Bifocals.prototype.root = null;
  * The current state of the bifocal object, can be one of the following.
  * module.RENDER_NOT_CALLED, module.RENDER_REQUESTED, module.RENDER_STARTED,
  * module.RENDER_COMPLETE, module.RENDER_FAILED, module.RENDER_CANCELED
+ * This should only be changed through _transition, see module.RENDER_TRANSITIONS
  * @type {Number}
  */
 Bifocals.prototype.render_state = null;
 
+/**
+ * How the root view writes to the response, can be one of the following.
+ * module.RENDER_MODES.BUFFERED: (default) The template is rendered once every child view has completed.
+ * module.RENDER_MODES.STREAMED: The template is rendered immediately, and written to the response in order, one section at a time, as the child views complete.
+ * module.RENDER_MODES.PIPELINED: The template is written immediately with an empty placeholder for each child view. Each child view is then written
+ *   as its own chunk, with an inline script that moves it into its placeholder, in whatever order they complete. This requires html output.
+ * In the streamed and pipelined modes the status code and headers can no longer be changed once the first section has been written.
+ * Each child is given to the template as a token, which is replaced by the child's output once the template has rendered. So the template
+ * must output every child exactly as it was given (the view fails otherwise), and child output is never escaped by the template,
+ * even where the buffered mode would escape it (such as {{child}} in handlebars).
+ * Only the root view uses this, child views are always buffered into their parent.
+ * 
+ * @type {Number}
+ */
+Bifocals.prototype.render_mode = 0;
+
+/**
+ * The key this view was created with by its parent, null for the root view
+ * 
+ * @type {String}
+ */
+Bifocals.prototype.key = null;
+
+/**
+ * How many milliseconds the view may take to render before it times out. null (default) waits forever.
+ * Child views start counting when they are created, the root view starts counting once render is called.
+ * When a view times out its render is canceled, and the fallback_template is rendered in its place. If there is no fallback_template,
+ * statusError is called with the timeout error.
+ * 
+ * @type {Number}
+ */
+Bifocals.prototype.render_timeout = null;
+
+/**
+ * The template to render if this view times out. See render_timeout
+ * 
+ * @type {String}
+ */
+Bifocals.prototype.fallback_template = null;
+
+/**
+ * The template to render in place of this child view if it, or any of its children, fails to render.
+ * The error is set to the view under the key "error". Only the output of this view is replaced, the rest of the page renders as usual.
+ * If the boundary template fails too, the error continues up to the parent.
+ * 
+ * @type {String}
+ */
+Bifocals.prototype.boundary_template = null;
+
+/**
+ * When true, the root view computes an ETag from its final output, and responds with 304: Not Modified if it matches the request's If-None-Match header.
+ * The output is held back until it is complete. This is ignored if an ETag was provided via Bifocals.etag, or if the root view is streamed.
+ * 
+ * @type {Boolean}
+ */
+Bifocals.prototype.auto_etag = false;
+
 /**
  * Default template to use when rendering 500 errors
  * 
@@ -122,6 +448,34 @@ Bifocals.prototype.render_state = null;
  */
 Bifocals.prototype.default500Template = null;
 
+/**
+ * Moves the view to a new render state, if module.RENDER_TRANSITIONS allows it. Illegal transitions are ignored.
+ * Emits "statechange" with the new and old state on success.
+ * 
+ * @param  {Number} state One of module.RENDER_STATES
+ * @return {Boolean} true if the view moved to the new state, false if it was ignored (including when the view is already in that state)
+ */
+Bifocals.prototype._transition = function bifocals_transition(state) {
+	var old_state = this.render_state;
+
+	if (root_module.RENDER_TRANSITIONS[old_state].indexOf(state) === -1) {
+		return false;
+	}
+
+	this.render_state = state;
+
+	if (state === root_module.RENDER_STATES.RENDER_COMPLETE ||
+		state === root_module.RENDER_STATES.RENDER_FAILED ||
+		state === root_module.RENDER_STATES.RENDER_CANCELED) {
+		this._finished_at = Date.now();
+	} else {
+		this._finished_at = null;
+	}
+
+	this.emit('statechange', state, old_state);
+	return true;
+};
+
 /**
  * returns whether the view has finished rendering or not
  * 
@@ -131,6 +485,17 @@ Bifocals.prototype.isRendered = function bifocals_isRendered() {
 	return this.render_state === root_module.RENDER_STATES.RENDER_COMPLETE;
 };
 
+/**
+ * Returns a promise that resolves with this view once it has finished rendering, and rejects if the render fails.
+ * For the root view this resolves once the response has ended, and also rejects when an error from a child reaches it (see Bifocals._handleError). When the root response is ended by a status method in place of
+ * rendering (such as statusRedirect or statusNotFound), status codes of 400 and up reject with an error that has a status property.
+ * 
+ * @return {Promise}
+ */
+Bifocals.prototype.promise = function bifocals_promise() {
+	return this._promise;
+};
+
 /**
  * Sets data to be rendered to the view
  * 
@@ -182,6 +547,27 @@ Bifocals.prototype.canRender = function bifocals_canRender() {
 		return false;
 	}
 
+	// Cached views wait to find out if they need to render at all
+	if (this._cache_pending) {
+		return false;
+	}
+
+	// Children may still be created, see Bifocals.defer
+	if (this._holds.length) {
+		return false;
+	}
+
+	// Without a content type there is nothing to render with. Children wait, and the root fails right away
+	// (or responds with 406 Not Acceptable, see lib/express_extensions.js) instead of waiting on them
+	if (this.content_type === null && this.engine === null) {
+		return this.parent === null;
+	}
+
+	// Streamed views render placeholders for their children, and fill them in as they complete
+	if (this._isStreaming()) {
+		return true;
+	}
+
 	for(key in this._child_views) { 
 		if(!this._child_views[key].isRendered()) {
 			return false;
@@ -195,49 +581,50 @@ Bifocals.prototype.canRender = function bifocals_canRender() {
  * 
  * @param {String} template Renders the provided template unless one was set previously.
  * @param {Boolean} force Kills all child elements and forces the template to be rendered immediately. default: false
+ * @return {Promise} see Bifocals.promise
  */
 Bifocals.prototype.render = function bifocals_render(template, force) {
 	var _self = this;
 	if (!force) {
-		// If rendering has been canceled before we try to render, do nothing
+		// If rendering has been canceled before we try to render, do nothing. Only a forced render can restart a canceled view
 		if (_self.render_state === root_module.RENDER_STATES.RENDER_CANCELED) {
-			return;
+			return this._promise;
 		}
 
-		_self.render_state = root_module.RENDER_STATES.RENDER_REQUESTED;
+		// Views that have already started, completed or failed ignore the request
+		if (_self.render_state !== root_module.RENDER_STATES.RENDER_REQUESTED) {
+			if (!_self._transition(root_module.RENDER_STATES.RENDER_REQUESTED)) {
+				return this._promise;
+			}
+			_self.emit('render-requested');
+			_self._startTimeout();
+
+			// Clients with a fresh copy don't need the page rendered at all
+			if (_self.parent === null && _self._isFresh()) {
+				_self.statusNotModified();
+				return this._promise;
+			}
+		}
 
 		if (_self.canRender()) {
-			_self.render_state = root_module.RENDER_STATES.RENDER_STARTED;
+			_self._transition(root_module.RENDER_STATES.RENDER_STARTED);
+			_self.emit('render-started');
+
+			if (_self.parent === null && _self.auto_etag && _self._etag === null && !_self._isStreaming()) {
+				_self._holdForEtag();
+			}
 			// We want to prefer the pre-set template over the render(template)
 			if (_self.template) {
 				template = _self.template;
 			}
 
-			var renderer = root_module.getRenderer(_self.content_type);
-
-			// todo: Try to move away from super. How do you identify a constructor?
-			if (renderer.super_ === root_module.Renderer) {
-				if (template[0] !== '/') {
-					template = this.dir + template;
-				}
-				
-				this.buildRenderer(renderer).render(template);
+			if (_self._layout_view !== null) {
+				_self._renderLayout(template);
+			} else if (_self._isStreaming()) {
+				_self._renderStreamed(template);
 			} else {
-				// express js compatible format
-				renderer(_self.dir + template, _self._data, function (err, output) {
-					if (err) {
-						_self.render_state = root_module.RENDER_STATES.RENDER_FAILED;
-						return _self._error(err);
-					} else {
-						_self.render_state = root_module.RENDER_STATES.RENDER_COMPLETE;
-						// todo: I think this should go away
-						if (_self._response.setHeader) {
-							_self._response.setHeader('Content-Type', _self.content_type);
-						}
-						_self._response.write(output);
-						_self._response.end();
-						_self._end();
-					}
+				_self._execute(template, _self._data, _self._response, function (error) {
+					_self._rendered(error, template);
 				});
 			}
 		} else {
@@ -249,137 +636,1217 @@ Bifocals.prototype.render = function bifocals_render(template, force) {
 		}
 	} else {
 		this.cancelRender();
-		this.render_state = root_module.RENDER_STATES.RENDER_REQUESTED;
+
+		// Completed views can not be forced to render again
+		if (!this._transition(root_module.RENDER_STATES.RENDER_REQUESTED)) {
+			return this._promise;
+		}
+
+		this.emit('render-requested');
 		this.template = template;
-		this.render(template, false);
+		return this.render(template, false);
 	}
+
+	return this._promise;
 };
 
 /**
- * Stops a render from occurring, and attempts to stop all child elements too.
+ * Whether the client's cached copy matches the validators provided via Bifocals.etag or Bifocals.lastModified
+ * 
+ * @return {Boolean}
  */
-Bifocals.prototype.cancelRender = function bifocals_cancelRender() {
-	var key = null;
-	this.render_state = root_module.RENDER_STATES.RENDER_CANCELED;
-
-	for (key in this._child_views) {
-		this._child_views[key].cancelRender();
+Bifocals.prototype._isFresh = function bifocals_isFresh() {
+	if (this._etag === null && this._last_modified === null) {
+		return false;
 	}
-	this._child_views = {};
+
+	return conditional_get_module.isFresh(this._request, this._etag, this._last_modified);
 };
 
 /**
- * Builds a Renderer with all necessary data pulled from the view
- * 
- * @return {Renderer}
+ * Holds back everything written to the response until it ends, and then sends an ETag built from the output.
+ * If the client's cached copy matches, a 304: Not Modified is sent in place of the output
  */
-Bifocals.prototype.buildRenderer = function bifocals_buildRenderer(RendererConstructor) {
+Bifocals.prototype._holdForEtag = function bifocals_holdForEtag() {
 	var _self = this;
+	var response = this._response;
+	var write = response.write;
+	var end = response.end;
+	var chunks = [];
+	var etag = null;
 
-	var renderer = new RendererConstructor();
-	renderer.data = this._data;
-	renderer.response = this._response;
-	renderer.error(function (error, template) {
-		_self.render_state = root_module.RENDER_STATES.RENDER_FAILED;
+	response.write = function (chunk) {
+		chunks.push(chunk);
+		return true;
+	};
 
-		// If the template is the default 500 template, don't get stuck in an infinite loop. Log the issue and stop trying to error.
-		if (template === _self.default500Template) {
-			console.log(error);
-			_self.cancelRender();
-			_self._response.end();
-		} else {
-			_self._error(error);
+	response.end = function (chunk) {
+		if (chunk) {
+			chunks.push(chunk);
 		}
-	}).end(function () {
-		_self.render_state = root_module.RENDER_STATES.RENDER_COMPLETE;
-		_self._end();
-	});
-	return renderer;
-};
 
+		response.write = write;
+		response.end = end;
 
-/**
- * Sets an error handler which will be called any time an error occurs in this view
- * 
- * @param  {Function} fn takes a single parameter, the error
- * @return {Bifocals} this, used for chaining
- */
-Bifocals.prototype.error = function bifocals_error(fn) {
-	this._error = fn;
-	return this;
+		// Errors, redirects and the like are sent as is
+		if (chunks.length && (response.statusCode || 200) === 200) {
+			etag = conditional_get_module.hashEtag(chunks);
+
+			if (response.setHeader) {
+				response.setHeader('ETag', etag);
+			}
+
+			if (conditional_get_module.isFresh(_self._request, etag, null)) {
+				response.statusCode = 304;
+				chunks = [];
+			}
+		}
+
+		chunks.forEach(function (held_chunk) {
+			write.call(response, held_chunk);
+		});
+		return end.call(response);
+	};
 };
 
 /**
- * Sets an end handler which will be called when the view is done rendering
+ * Returns the environment this view uses
  * 
- * @param  {Function} fn takes no parameters
- * @return {[type]}      this, used for chaining
+ * @return {Environment}
  */
-Bifocals.prototype.end = function bifocals_end(fn) {
-	this._end = fn;
-	return this;
+Bifocals.prototype._environment = function bifocals_environment() {
+	return this.environment || root_module.getInstance();
 };
 
 /**
- * Create a child view relative to this view
+ * Hands the template and data to the renderer chosen by this view's engine, or the engine registered to the template's extension,
+ * or else the renderer registered to this view's content type. See module.addEngine
  * 
- * @param {String} key required, the key the parent will render the data in
- * @param {String} template required, the template file to be rendered
- * @returns {Bifocals}
+ * Every kind of renderer was turned into a Renderer class when it was registered (see lib/adapters.js), so they all resolve templates
+ * through resolveTemplate, set the content type and report their outcome the same way
+ * 
+ * @param  {String}   template
+ * @param  {Object}   data     The data provided to the template
+ * @param  {Object}   response Where the renderer will write its output
+ * @param  {Function} callback Called once when rendering is done, with an error if it failed
  */
-Bifocals.prototype.child = function bifocals_child(key, template) {
-	// Makes a fake response that writes to the parent instead of to an actual response object
-	var new_view = new Bifocals({
-		buffer: '',
-		write: function (chunk) {
-			if (typeof chunk === "object") {
-				// Objects don't replace the data, they override it. We might want to build an array here in the future.
-				// This allows for a heirarchy of non-string views, like json
-				this.buffer = chunk;
-			} else {
-				this.buffer += chunk; 
-			}
-		},
-		end: function () { 
-			// flag the child view as rendered
-			new_view.render_state = root_module.RENDER_STATES.RENDER_COMPLETE;
+Bifocals.prototype._execute = function bifocals_execute(template, data, response, callback) {
+	var _self = this;
+	var environment = this._environment();
+	var engine = this.engine || environment.getEngineName(template);
+	var renderer = null;
 
-			// set the child data into the parent view, and then render the parent if possible
-			new_view.parent.set(key, this.buffer); 
+	try {
+		renderer = engine !== null ? environment.getEngine(engine) : environment.getRenderer(this.content_type);
+	} catch (error) {
+		return callback(error);
+	}
 
-			if(new_view.parent.canRender()) {
-				// Break up render flow by processing any parent renders on the next tick
-				process.nextTick(function () {
-					new_view.parent.render();
-				});
-			}
+	// t is ordinary view data, so a view may provide its own through set('t', fn)
+	if (typeof data.t === "undefined" && (this.locale !== null || environment.getMessageCatalog() !== null)) {
+		data.t = this.translate.bind(this);
+	}
+
+	this.resolveTemplate(template, renderer, function (error, file_path) {
+		if (error) {
+			return callback(error);
 		}
-	});
 
-	new_view.content_type = this.content_type;
-	new_view.parent = this;
-	new_view.root = this.root;
-	new_view.dir = this.dir;
-	new_view.error(this._error);
-	
-	if (template) {
-		new_view.template = template;
-	}
+		// The view may have been canceled while the template directories were searched
+		if (_self.render_state !== root_module.RENDER_STATES.RENDER_STARTED) {
+			return;
+		}
 
-	this._child_views[key] = new_view;
+		// Renderers with a content type of their own (such as JSONP) may still replace it
+		if (typeof response.setHeader === "function" && !response.headersSent &&
+				!(typeof response.getHeader === "function" && response.getHeader('Content-Type'))) {
+			response.setHeader('Content-Type', _self.content_type);
+		}
 
-	return this._child_views[key];
+		_self.buildRenderer(renderer, response, data, callback).render(file_path);
+	});
 };
 
 /**
- * Set the response status code in the response tied to the parent most view
+ * Finds the file a template refers to.
  * 
- * @param {int} code
- * @return {Bifocals} this, used for chaining
+ * Without dirs, the template is prefixed with dir (absolute templates are made relative to it first), and the renderer finds the file. If the view has a theme or a locale,
+ * a variant of the template is used instead when one exists in dir.
+ * With dirs, each directory is searched in order for the theme and locale variants of the template, and then for the template itself,
+ * each also with the renderer's extensions (Renderer.extension or Renderer.extensions). The first file that exists is used, see lib/template_resolver.js
+ * 
+ * Either way, templates that climb out of the template directories with ../, or absolute templates outside of them, are rejected.
+ * 
+ * @param  {String}   template
+ * @param  {Function} renderer The Renderer class that will render the template
+ * @param  {Function} callback callback(error, file_path)
  */
-Bifocals.prototype.setStatusCode = function bifocals_setStatusCode(code) {
-	this.root._response.statusCode = code;
-	return this;
+Bifocals.prototype.resolveTemplate = function bifocals_resolveTemplate(template, renderer, callback) {
+	var _self = this;
+	var extensions = [];
+
+	if (renderer) {
+		if (Array.isArray(renderer.extensions)) {
+			extensions = renderer.extensions;
+		} else if (typeof renderer.extension === "string") {
+			extensions = [renderer.extension];
+		}
+	}
+
+	if (Array.isArray(this.dirs)) {
+		return template_resolver_module.resolve(this.dirs, template, {
+			extensions : extensions,
+			theme : this.theme,
+			locale : this.locale
+		}, callback);
+	}
+
+	if (!template_resolver_module.isInside(this.dir, template)) {
+		return callback(new Error('Template is outside of the template directories :' + template));
+	}
+
+	if (path_module.isAbsolute(template)) {
+		template = path_module.relative(path_module.resolve(this.dir), template);
+	}
+
+	if (this.theme === null && this.locale === null) {
+		return callback(null, this.dir + template);
+	}
+
+	// The renderer still finds the template itself, and reports it if it is missing
+	template_resolver_module.resolve([this.dir], template, {
+		extensions : extensions,
+		theme : this.theme,
+		locale : this.locale,
+		base : false
+	}, function (error, file_path) {
+		callback(null, error ? _self.dir + template : file_path);
+	});
+};
+
+/**
+ * Translates a message into this view's locale, through the environment's message catalog. This is provided to templates as "t".
+ * Messages without a translation are used as they are. Any {name} in the message is replaced by params.name, or else the view's data
+ * 
+ * view.locale = 'fr';
+ * view.set('user', 'Ann');
+ * view.translate('Hello {user}'); // "Bonjour Ann", if the catalog translates "Hello {user}" to "Bonjour {user}"
+ * 
+ * @param  {String} key
+ * @param  {Object} params optional. Handlebars helper options are accepted too, their hash arguments are used as the params
+ * @return {String}
+ */
+Bifocals.prototype.translate = function bifocals_translate(key, params) {
+	var _self = this;
+	var message = this._environment().getMessage(this.locale, key);
+
+	if (params && params.hash && typeof params.hash === "object") {
+		params = params.hash;
+	}
+
+	if (typeof message !== "string") {
+		message = String(key);
+	}
+
+	return message.replace(/\{(\w+)\}/g, function (match, name) {
+		if (params && typeof params === "object" && typeof params[name] !== "undefined") {
+			return params[name];
+		}
+
+		if (typeof _self.get(name) !== "undefined") {
+			return _self.get(name);
+		}
+
+		return match;
+	});
+};
+
+/**
+ * Called once the renderer has finished with this view's template
+ * 
+ * @param  {Error|null} error
+ * @param  {String} template The template that was rendered
+ */
+Bifocals.prototype._rendered = function bifocals_rendered(error, template) {
+	if (!error) {
+		this._renderComplete();
+	} else if (template === this.default500Template) {
+		// If the template is the default 500 template, don't get stuck in an infinite loop. Log the issue and stop trying to error.
+		this._transition(root_module.RENDER_STATES.RENDER_FAILED);
+		this._reject(error);
+		console.log(error);
+		this.cancelRender();
+		this._response.end();
+	} else {
+		this._renderFailed(error);
+	}
+};
+
+/**
+ * Whether this view streams its output, see Bifocals.render_mode
+ * 
+ * @return {Boolean}
+ */
+Bifocals.prototype._isStreaming = function bifocals_isStreaming() {
+	return this.parent === null && this._layout_view === null && this.render_mode !== root_module.RENDER_MODES.BUFFERED;
+};
+
+/**
+ * Renders the template into the layout's "content" block, and then lets the layout write to the response. See Bifocals.layout
+ * 
+ * @param  {String} template
+ */
+Bifocals.prototype._renderLayout = function bifocals_renderLayout(template) {
+	var _self = this;
+	var layout_view = this._layout_view;
+	var capture = {
+		buffer : '',
+		write : function (chunk) {
+			this.buffer += chunk;
+		},
+		end : function () {}
+	};
+
+	this._execute(template, this._data, capture, function (error) {
+		var key = null;
+
+		if (error) {
+			return _self._rendered(error, template);
+		}
+
+		// The view may have been canceled or forced to render something else while the template was rendering
+		if (_self.render_state !== root_module.RENDER_STATES.RENDER_STARTED) {
+			return;
+		}
+
+		for (key in _self._data) {
+			if (typeof layout_view.get(key) === "undefined") {
+				layout_view.set(key, _self._data[key]);
+			}
+		}
+
+		layout_view.set('content', capture.buffer);
+
+		// The response may have been replaced since the layout was created (see res.render in lib/express_extensions.js)
+		layout_view._response = _self._response;
+		layout_view.render();
+	});
+};
+
+/**
+ * Renders the template immediately with a placeholder in place of each child view, and then writes it to the response
+ * as the child views complete. See lib/slot_writer.js and lib/pipe_writer.js
+ * 
+ * @param  {String} template
+ */
+Bifocals.prototype._renderStreamed = function bifocals_renderStreamed(template) {
+	var _self = this;
+	var data = {};
+	var slots = {};
+	var key = null;
+	// Headers go to the real response, so _execute sets the content type the same way it does for any other view
+	var capture = {
+		buffer : '',
+		setHeader : function (name, value) {
+			if (typeof _self._response.setHeader === "function") {
+				_self._response.setHeader(name, value);
+			}
+		},
+		getHeader : function (name) {
+			return typeof _self._response.getHeader === "function" ? _self._response.getHeader(name) : undefined;
+		},
+		write : function (chunk) {
+			this.buffer += chunk;
+		},
+		end : function () {}
+	};
+
+	Object.defineProperty(capture, 'headersSent', {
+		get : function () {
+			return Boolean(_self._response.headersSent);
+		}
+	});
+
+	for (key in this._data) {
+		data[key] = this._data[key];
+	}
+
+	Object.keys(this._child_views).forEach(function (child_key, index) {
+		var token = '@@bifocals-slot-' + index + '@@';
+		slots[token] = child_key;
+		setChildOutput(data, child_key, token);
+	});
+
+	this._execute(template, data, capture, function (error) {
+		if (error) {
+			return _self._rendered(error, template);
+		}
+
+		// The view may have been canceled or forced to render something else while the template was rendering
+		if (_self.render_state !== root_module.RENDER_STATES.RENDER_STARTED) {
+			return;
+		}
+
+		// Children are placed where the template wrote their token. A template that skips a child, or changes its token
+		// (such as with a helper), would otherwise end the response before the child is written
+		for (key in slots) {
+			if (String(capture.buffer).indexOf(key) === -1) {
+				return _self._rendered(new Error('The template ' + template + ' did not output the child "' + slots[key] + '" as it is. ' +
+					'Streamed views can only place children that their template outputs unchanged, see Bifocals.render_mode'), template);
+			}
+		}
+
+		if (_self.render_mode === root_module.RENDER_MODES.PIPELINED) {
+			_self._slot_writer = new PipeWriter(_self._response, capture.buffer, slots);
+		} else {
+			_self._slot_writer = new SlotWriter(_self._response, capture.buffer, slots);
+		}
+
+		for (key in _self._child_views) {
+			if (_self._child_views[key].isRendered()) {
+				_self._slot_writer.fill(key, _self._child_views[key]._response.buffer);
+			}
+		}
+
+		_self._flushStream();
+	});
+};
+
+/**
+ * Writes every section that is ready to the response, and completes the view once everything has been written
+ * and every child has completed
+ */
+Bifocals.prototype._flushStream = function bifocals_flushStream() {
+	var key = null;
+
+	if (!this._slot_writer.flush()) {
+		return;
+	}
+
+	for (key in this._child_views) {
+		if (!this._child_views[key].isRendered()) {
+			return;
+		}
+	}
+
+	this._slot_writer = null;
+	this._renderComplete();
+	this._response.end();
+};
+
+/**
+ * Called by a child view once it has finished rendering
+ * 
+ * @param  {String} key    The key the child was created with
+ * @param  {Mixed} output The output of the child
+ */
+Bifocals.prototype._childComplete = function bifocals_childComplete(key, output) {
+	var _self = this;
+
+	// set the child data into the parent view, and then render the parent if possible
+	setChildOutput(this._data, key, output);
+	this.emit('child-complete', key, this._child_views[key]);
+
+	if (this._slot_writer) {
+		this._slot_writer.fill(key, output);
+		this._flushStream();
+	} else if (this.canRender()) {
+		// Break up render flow by processing any parent renders on the next tick
+		process.nextTick(function () {
+			_self.render();
+		});
+	}
+};
+
+/**
+ * Sets data from a promise, and renders the view once the promise resolves.
+ * If the promise rejects, the view fails to render and the error handler is called.
+ * 
+ * var child = view.child('posts');
+ * child.renderWhen(database.query('select * from posts').then(function (rows) {
+ *     return { posts : rows };
+ * }), 'templates/posts.html');
+ * 
+ * @param  {Promise} data A promise (or any value) that resolves to an object of key value pairs, each is set on the view
+ * @param  {String} template Passed to render once the data is available
+ * @return {Promise} see Bifocals.promise
+ */
+Bifocals.prototype.renderWhen = function bifocals_renderWhen(data, template) {
+	var _self = this;
+
+	Promise.resolve(data).then(function (values) {
+		var key = null;
+
+		if (values !== null && typeof values === "object") {
+			for (key in values) {
+				_self.set(key, values[key]);
+			}
+		}
+
+		_self.render(template);
+	}).catch(function (error) {
+		_self._renderFailed(error);
+	});
+
+	return this._promise;
+};
+
+/**
+ * Stops a render from occurring, and attempts to stop all child elements too.
+ */
+Bifocals.prototype.cancelRender = function bifocals_cancelRender() {
+	var key = null;
+
+	if (!this._transition(root_module.RENDER_STATES.RENDER_CANCELED)) {
+		return;
+	}
+
+	this._slot_writer = null;
+	this._holds = [];
+	this._stopTimeout();
+
+	for (key in this._child_views) {
+		this._child_views[key].cancelRender();
+	}
+	this._child_views = {};
+
+	// Anything rendered after a cancel, such as an error template, is rendered without the layout
+	if (this._layout_view !== null) {
+		this._layout_view.cancelRender();
+		this._layout_view = null;
+	}
+
+	this.emit('cancel');
+};
+
+/**
+ * Builds a Renderer with all necessary data pulled from the view
+ * 
+ * @param {Function} RendererConstructor
+ * @param {Object} response Where the renderer writes its output. default: the view's response
+ * @param {Object} data The data provided to the template. default: the view's data
+ * @param {Function} callback Called once, with an error if the renderer failed. default: completes or fails the view
+ * @return {Renderer}
+ */
+Bifocals.prototype.buildRenderer = function bifocals_buildRenderer(RendererConstructor, response, data, callback) {
+	var _self = this;
+	var done = false;
+
+	var renderer = new RendererConstructor();
+	renderer.data = data || this._data;
+	renderer.response = response || this._response;
+	renderer.request = this.root._request;
+
+	if (typeof callback !== "function") {
+		callback = function (error) {
+			_self._rendered(error, _self.template);
+		};
+	}
+
+	// Some renderers end after they error, only the first outcome counts
+	renderer.error(function (error) {
+		if (!done) {
+			done = true;
+			callback(error);
+		}
+	}).end(function () {
+		if (!done) {
+			done = true;
+			callback(null);
+		}
+	});
+	return renderer;
+};
+
+/**
+ * Marks the view as rendered, and notifies anyone waiting on it
+ * 
+ * @return {Boolean} false if the view could not be completed, because it was canceled, failed or already complete
+ */
+Bifocals.prototype._renderComplete = function bifocals_renderComplete() {
+	if (!this._transition(root_module.RENDER_STATES.RENDER_COMPLETE)) {
+		return false;
+	}
+
+	this._stopTimeout();
+	this.emit('end');
+	this._resolve(this);
+	return true;
+};
+
+/**
+ * Marks the view as failed, and notifies anyone waiting on it
+ * 
+ * @param  {Error} error
+ */
+Bifocals.prototype._renderFailed = function bifocals_renderFailed(error) {
+	// Canceled views no longer matter to anyone
+	if (!this._transition(root_module.RENDER_STATES.RENDER_FAILED)) {
+		return;
+	}
+
+	this._stopTimeout();
+	this._reject(error);
+	this._handleError(error);
+};
+
+/**
+ * Sends an error up through the parents of this view, as it is at the moment of the error.
+ * The first view that has a boundary_template, or is listening for errors, handles the error.
+ * 
+ * Errors that reach the root reject the root's promise, whether or not the root is listening. If no view is listening,
+ * the root also fails, and the error is thrown unless the promise of one of the views it passed through is in use.
+ * That is decided on the next tick, as a render can fail before the promise it returns has been given to anyone.
+ * 
+ * @param  {Error} error
+ */
+Bifocals.prototype._handleError = function bifocals_handleError(error) {
+	var _self = this;
+	var view = this;
+	var passed = [];
+
+	while (view !== null) {
+		if (view.parent !== null && typeof view.boundary_template === "string" && !view._caught) {
+			view._caught = true;
+			view.set('error', error);
+			view.render(view.boundary_template, true);
+			return;
+		}
+
+		// Rejected first, so a listener that ends the response (such as with statusError) does not settle the promise as a success
+		if (view.parent === null) {
+			view._reject(error);
+		}
+
+		if (view.listeners('error').length) {
+			view.emit('error', error, this);
+			return;
+		}
+
+		passed.push(view);
+		view = view.parent;
+	}
+
+	// Nothing is left to finish the render, so the root fails along with the view
+	if (this.root !== this && this.root._transition(root_module.RENDER_STATES.RENDER_FAILED)) {
+		this.root._stopTimeout();
+	}
+
+	process.nextTick(function () {
+		var observed = passed.some(function (passed_view) {
+			return passed_view._observed;
+		});
+
+		if (!observed) {
+			_self._error(error, _self);
+		}
+	});
+};
+
+/**
+ * Starts counting down the render_timeout, if the view has one and is not already counting
+ */
+Bifocals.prototype._startTimeout = function bifocals_startTimeout() {
+	var _self = this;
+
+	if (typeof this.render_timeout === "number" && this._timer === null && !this._timed_out) {
+		this._timer = setTimeout(function () {
+			_self._timer = null;
+			_self._timedOut();
+		}, this.render_timeout);
+	}
+};
+
+/**
+ * Stops counting down the render_timeout
+ */
+Bifocals.prototype._stopTimeout = function bifocals_stopTimeout() {
+	if (this._timer !== null) {
+		clearTimeout(this._timer);
+		this._timer = null;
+	}
+};
+
+/**
+ * Called when the view has not rendered within its render_timeout. Reports the view to the nearest timeout handler,
+ * and then renders the fallback template or escalates to statusError
+ */
+Bifocals.prototype._timedOut = function bifocals_timedOut() {
+	var handler = this;
+	var error = new Error((this.key === null ? 'The root view' : 'The view "' + this.key + '"') +
+		' did not render within ' + this.render_timeout + 'ms');
+
+	while (handler.parent !== null && !handler.listeners('timeout').length) {
+		handler = handler.parent;
+	}
+	handler.emit('timeout', this);
+
+	// The fallback and error templates are not timed
+	this._timed_out = true;
+
+	if (typeof this.fallback_template === "string") {
+		this.render(this.fallback_template, true);
+	} else {
+		this.cancelRender();
+		this._reject(error);
+		this.statusError(error);
+	}
+};
+
+
+/**
+ * Adds an error handler which will be called any time an error occurs in this view, or in a child view that does not handle the error itself.
+ * Shorthand for view.on('error', fn). See boundary_template
+ * 
+ * @param  {Function} fn takes two parameters, the error and the view it occurred in
+ * @return {Bifocals} this, used for chaining
+ */
+Bifocals.prototype.error = function bifocals_error(fn) {
+	return this.on('error', fn);
+};
+
+/**
+ * Adds an end handler which will be called when the view is done rendering
+ * Shorthand for view.on('end', fn)
+ * 
+ * @param  {Function} fn takes no parameters
+ * @return {Bifocals}      this, used for chaining
+ */
+Bifocals.prototype.end = function bifocals_end(fn) {
+	return this.on('end', fn);
+};
+
+/**
+ * Adds a timeout handler which will be called any time this view, or a child view without a timeout handler of its own, times out.
+ * Shorthand for view.on('timeout', fn). See render_timeout
+ * 
+ * @param  {Function} fn takes a single parameter, the view that timed out
+ * @return {Bifocals}      this, used for chaining
+ */
+Bifocals.prototype.timeout = function bifocals_timeout(fn) {
+	return this.on('timeout', fn);
+};
+
+/**
+ * Describes this view and all of its children, to help debug pages that never finish
+ * 
+ * {
+ *   key : 'header',
+ *   state : 'RENDER_REQUESTED',
+ *   template : 'header.html',
+ *   elapsed : 1500, // milliseconds since the view was created, until it completed, failed or was canceled
+ *   deferred : 1, // holds from Bifocals.defer that have not been released
+ *   children : [...]
+ * }
+ * 
+ * @return {Object}
+ */
+Bifocals.prototype.describe = function bifocals_describe() {
+	var _self = this;
+	var state = null;
+
+	for (state in root_module.RENDER_STATES) {
+		if (root_module.RENDER_STATES[state] === this.render_state) {
+			break;
+		}
+	}
+
+	return {
+		key : this.key,
+		state : state,
+		template : this.template,
+		elapsed : (this._finished_at || Date.now()) - this._created_at,
+		layout : this._layout_view === null ? null : this._layout_view.describe(),
+		deferred : this._holds.length,
+		children : Object.keys(this._child_views).map(function (key) {
+			return _self._child_views[key].describe();
+		})
+	};
+};
+
+/**
+ * Wraps the output of this view in a layout. The output becomes the layout's "content" block.
+ * 
+ * If the layout was registered via module.addLayout, its setup function is called with the new layout view so it can create its default children,
+ * or wrap itself in another layout. Otherwise the name is used as the layout's template.
+ * The layout can use any of this view's data that it does not set itself.
+ * 
+ * view.layout('layouts/main', {
+ *     sidebar : 'sidebars/account',
+ *     header : function (header) {
+ *         header.set('title', 'Account');
+ *         header.render('header');
+ *     }
+ * });
+ * 
+ * @param  {String} name   The name the layout was registered with, or a template
+ * @param  {Object} blocks optional, "key => block" mapping of child views to add to the layout, replacing any default child with the same key.
+ *                         A block is either a template, or a function that is given the new child view.
+ * @return {Bifocals} The layout view
+ */
+Bifocals.prototype.layout = function bifocals_layout(name, blocks) {
+	var _self = this;
+	var layout_view = new Bifocals(this._response);
+	var setup = this._environment().getLayout(name);
+	var key = null;
+	var block_view = null;
+
+	layout_view.key = name;
+	layout_view.template = name;
+	layout_view.content_type = this.content_type;
+	layout_view.parent = this;
+	layout_view.root = this.root;
+	layout_view.dir = this.dir;
+	layout_view.dirs = this.dirs;
+	layout_view.theme = this.theme;
+	layout_view.locale = this.locale;
+	layout_view.environment = this.environment;
+
+	if (this._layout_view !== null) {
+		this._layout_view.cancelRender();
+	}
+	this._layout_view = layout_view;
+
+	this._environment().emit('view', layout_view);
+
+	if (setup) {
+		setup(layout_view);
+	}
+
+	for (key in blocks) {
+		if (layout_view._child_views[key]) {
+			layout_view._child_views[key].cancelRender();
+		}
+
+		block_view = layout_view.child(key);
+
+		if (typeof blocks[key] === "function") {
+			blocks[key](block_view);
+		} else {
+			block_view.render(blocks[key]);
+		}
+	}
+
+	// The layout writes to this view's response, so this view is done when the layout is
+	layout_view.end(function () {
+		_self._renderComplete();
+	});
+
+	// Promise.prototype.then is called directly, so this does not count as someone waiting on the layout (see Bifocals._handleError)
+	Promise.prototype.then.call(layout_view._promise, null, function (error) {
+		if (_self._transition(root_module.RENDER_STATES.RENDER_FAILED)) {
+			_self._reject(error);
+		}
+	});
+
+	return layout_view;
+};
+
+/**
+ * Holds the view open for children that have not been created yet. The view will not render until every hold is released,
+ * even if all of its current children have rendered. Use this when children depend on the result of some other asynchronous call.
+ * 
+ * var release = view.defer();
+ * database.query('select * from widgets', function (err, widgets) {
+ *     widgets.forEach(function (widget) {
+ *         view.child(widget.name, 'widgets/' + widget.type);
+ *     });
+ *     release();
+ * });
+ * view.render('index');
+ * 
+ * Canceling the view releases every hold.
+ * 
+ * @return {Function} Releases the hold. Calling it more than once has no effect
+ */
+Bifocals.prototype.defer = function bifocals_defer() {
+	var _self = this;
+	var hold = {};
+
+	this._holds.push(hold);
+
+	return function bifocals_release() {
+		var index = _self._holds.indexOf(hold);
+
+		if (index === -1) {
+			return;
+		}
+
+		_self._holds.splice(index, 1);
+		if (_self.canRender()) {
+			process.nextTick(function () {
+				_self.render();
+			});
+		}
+	};
+};
+
+/**
+ * Create a child view relative to this view
+ * 
+ * Children can be created until the view starts rendering. To create them after calling render, hold the view open with Bifocals.defer
+ * 
+ * @param {String} key required, the key the parent will render the data in.
+ *                     Keys in the form "name[index]" render the data into a list under "name", at that index.
+ * @param {String} template required, the template file to be rendered
+ * @param {Object} options optional
+ *        timeout: see render_timeout, counted from now
+ *        fallback: see fallback_template
+ *        boundary: see boundary_template
+ *        engine: see engine
+ *        cache: {key, ttl, tags} caches the output of the child under the key, for ttl milliseconds (default: forever).
+ *               While it is cached the child completes immediately with the cached output, and its loader is skipped (see Bifocals.load).
+ *               Use module.invalidateCache(key) or module.invalidateCacheTag(tag) to remove it early.
+ * @returns {Bifocals}
+ */
+Bifocals.prototype.child = function bifocals_child(key, template, options) {
+	// The template has already been rendered without this child, see Bifocals.defer
+	if (this.render_state === root_module.RENDER_STATES.RENDER_STARTED || this.render_state === root_module.RENDER_STATES.RENDER_COMPLETE) {
+		throw new Error('Child views can not be created once the view has started rendering :' + key);
+	}
+
+	// Makes a fake response that writes to the parent instead of to an actual response object
+	var new_view = new Bifocals({
+		buffer: '',
+		ended: false,
+		write: function (chunk) {
+			// The first value that is not a string is the whole output
+			if (typeof this.buffer !== "string") {
+				return;
+			}
+
+			if (typeof chunk === "string" || Buffer.isBuffer(chunk)) {
+				this.buffer += chunk;
+			} else {
+				// Any other value (objects, numbers, booleans and null) replaces the output as it is, instead of being appended to it.
+				// This allows for a heirarchy of non-string views, like json
+				this.buffer = chunk;
+			}
+		},
+		end: function () { 
+			// flag the child view as rendered. The renderer may have done this already.
+			new_view._renderComplete();
+
+			// Canceled or failed views never write into the parent
+			if (new_view.isRendered() && !this.ended) {
+				this.ended = true;
+
+				if (new_view._cache !== null && !new_view._cache_hit) {
+					new_view._environment().getCacheStore().set(new_view._cache.key, this.buffer, {
+						ttl : new_view._cache.ttl,
+						tags : new_view._cache.tags
+					}, function () {
+						// The cache is only an optimization, a failed write only means the next render misses
+					});
+				}
+
+				new_view.parent._childComplete(key, this.buffer);
+			}
+		}
+	});
+
+	new_view.key = key;
+	new_view.content_type = this.content_type;
+	new_view.parent = this;
+	new_view.root = this.root;
+	new_view.dir = this.dir;
+	new_view.dirs = this.dirs;
+	new_view.theme = this.theme;
+	new_view.locale = this.locale;
+	new_view.environment = this.environment;
+	
+	if (template) {
+		new_view.template = template;
+	}
+
+	if (options) {
+		if (typeof options.timeout === "number") {
+			new_view.render_timeout = options.timeout;
+		}
+
+		if (typeof options.fallback === "string") {
+			new_view.fallback_template = options.fallback;
+		}
+
+		if (typeof options.boundary === "string") {
+			new_view.boundary_template = options.boundary;
+		}
+
+		if (typeof options.engine === "string") {
+			new_view.engine = options.engine;
+		}
+
+		if (options.cache) {
+			new_view._cacheLookup(options.cache);
+		}
+	}
+
+	this._child_views[key] = new_view;
+	new_view._startTimeout();
+	this._environment().emit('view', new_view);
+
+	return this._child_views[key];
+};
+
+/**
+ * Create a child view from a registered component. The component's data loader runs on the next tick, and the child renders once it is done.
+ * If the loader fails, the child fails like any other view. See module.addComponent
+ * 
+ * view.component('author', 'userCard', { id : post.author_id });
+ * 
+ * @param  {String} key     required, the key the parent will render the data in
+ * @param  {String} name    required, the name of the component
+ * @param  {Mixed} params   provided to the component's data loader
+ * @param  {Object} options optional, see Bifocals.child
+ * @return {Bifocals} The child view
+ */
+Bifocals.prototype.component = function bifocals_component(key, name, params, options) {
+	var loader = this._environment().getComponent(name);
+	var new_view = this.child(key, null, options);
+
+	new_view.load(function (view, done) {
+		return loader(view, params, done);
+	}, name);
+
+	return new_view;
+};
+
+/**
+ * The child options of one item in Bifocals.children, with a cache key of its own
+ * 
+ * @param  {Object} options optional, the options provided to Bifocals.children
+ * @param  {Mixed}  item
+ * @param  {Number} index
+ * @return {Object}
+ */
+var itemOptions = function bifocals_itemOptions(options, item, index) {
+	var item_options = {};
+	var key = null;
+
+	if (!options || !options.cache) {
+		return options;
+	}
+
+	for (key in options) {
+		item_options[key] = options[key];
+	}
+
+	item_options.cache = {
+		key : typeof options.cache.key === "function" ? options.cache.key(item, index) : options.cache.key + '[' + index + ']',
+		ttl : options.cache.ttl,
+		tags : options.cache.tags
+	};
+
+	return item_options;
+};
+
+/**
+ * Create one child view per item in a list. The parent receives an ordered array of their output under the key,
+ * and like any other children it will not render until all of them have.
+ * 
+ * view.children('posts', rows, 'post', function (child, row, done) {
+ *     database.query('select * from comments where post_id = ?', [row.id], function (err, comments) {
+ *         child.set('post', row).set('comments', comments);
+ *         done(err);
+ *     });
+ * }, { concurrency : 5 });
+ * 
+ * @param  {String} key      required, the key the parent will render the list in
+ * @param  {Array} items     required, one child is created for each item
+ * @param  {String} template required, the template file each child renders
+ * @param  {Function} loader optional, called with each child, its item and a callback, see Bifocals.load.
+ *                           If not provided, each property of the item is set on its child
+ * @param  {Object} options  optional, see Bifocals.child
+ *         concurrency: the most loaders that may run at once. default: no limit
+ *         cache: as in Bifocals.child, but each child is cached under a key of its own. A string key is suffixed with the index
+ *                of the item ("posts" caches the first child as "posts[0]"), a function is called as key(item, index)
+ * @return {Array} The child views, in the order of the items
+ */
+Bifocals.prototype.children = function bifocals_children(key, items, template, loader, options) {
+	var _self = this;
+	var concurrency = Infinity;
+	var running = 0;
+	var next = 0;
+	var views = null;
+	var startNext = null;
+
+	if (loader !== null && typeof loader === "object") {
+		options = loader;
+		loader = null;
+	}
+
+	if (options && typeof options.concurrency === "number") {
+		concurrency = options.concurrency;
+	}
+
+	// Completed, failed and canceled views will not load again
+	var isFinished = function (view) {
+		return view.render_state >= root_module.RENDER_STATES.RENDER_COMPLETE;
+	};
+
+	var start = function (view, item) {
+		var released = false;
+
+		if (isFinished(view)) {
+			return;
+		}
+
+		running++;
+		view.on('statechange', function (state) {
+			if (!released && isFinished(view)) {
+				released = true;
+				running--;
+				startNext();
+			}
+		});
+
+		if (typeof loader === "function") {
+			view.load(function (child, done) {
+				return loader(child, item, done);
+			}, template);
+		} else {
+			view.load(function (child, done) {
+				var item_key = null;
+
+				if (item !== null && typeof item === "object") {
+					for (item_key in item) {
+						child.set(item_key, item[item_key]);
+					}
+				}
+				done(null);
+			}, template);
+		}
+	};
+
+	startNext = function () {
+		while (next < views.length && running < concurrency) {
+			start(views[next], items[next]);
+			next++;
+		}
+	};
+
+	// An empty list renders as an empty list, not a missing value
+	this.set(key, []);
+
+	views = items.map(function (item, index) {
+		return _self.child(key + '[' + index + ']', template, itemOptions(options, item, index));
+	});
+	startNext();
+
+	return views;
+};
+
+/**
+ * Runs a data loader for this view on the next tick, and renders the view once it is done. If the loader fails, the view fails.
+ * Views that are served from the cache skip the loader entirely, see the cache option of Bifocals.child
+ * 
+ * child.load(function (view, done) {
+ *     database.query('select * from posts', function (err, rows) {
+ *         view.set('posts', rows);
+ *         done(err, 'posts');
+ *     });
+ * });
+ * 
+ * @param  {Function} loader Called with this view and a callback, done(error, template). Instead of calling done, the loader may return a promise.
+ * @param  {String} template optional, rendered if the loader does not provide a template
+ * @return {Bifocals} this, used for chaining
+ */
+Bifocals.prototype.load = function bifocals_load(loader, template) {
+	var _self = this;
+	var called = false;
+
+	var done = function (error, loaded_template) {
+		if (called) {
+			return;
+		}
+		called = true;
+
+		if (error) {
+			_self._renderFailed(error);
+		} else {
+			_self.render(loaded_template || template);
+		}
+	};
+
+	Promise.resolve(this._cache_lookup).then(function (hit) {
+		var result = null;
+
+		if (hit) {
+			return;
+		}
+
+		try {
+			result = loader(_self, done);
+		} catch (error) {
+			return done(error);
+		}
+
+		if (result && typeof result.then === "function") {
+			result.then(function () {
+				done(null);
+			}, done);
+		}
+	});
+
+	return this;
+};
+
+/**
+ * Looks for this view's output in the cache store. Until the store answers the view will not render.
+ * On a hit the cached output is used immediately, on a miss the view renders as usual and its output is cached once it completes
+ * 
+ * @param  {Object} cache The cache option of Bifocals.child
+ */
+Bifocals.prototype._cacheLookup = function bifocals_cacheLookup(cache) {
+	var _self = this;
+
+	this._cache = cache;
+	this._cache_pending = true;
+	this._cache_lookup = new Promise(function (resolve) {
+		_self._environment().getCacheStore().get(cache.key, function (error, output) {
+			_self._cache_pending = false;
+
+			// The cache is only an optimization, errors are treated as a miss
+			if (!error && typeof output !== "undefined") {
+				_self._cache_hit = true;
+				_self._renderCached(output);
+				resolve(true);
+			} else {
+				resolve(false);
+				if (_self.canRender()) {
+					_self.render();
+				}
+			}
+		});
+	});
+};
+
+/**
+ * Completes the view with output from the cache, in place of rendering the template
+ * 
+ * @param  {Mixed} output
+ */
+Bifocals.prototype._renderCached = function bifocals_renderCached(output) {
+	if (this.render_state !== root_module.RENDER_STATES.RENDER_REQUESTED && !this._transition(root_module.RENDER_STATES.RENDER_REQUESTED)) {
+		return;
+	}
+
+	// Cached views have no need for children
+	this._child_views = {};
+	this._transition(root_module.RENDER_STATES.RENDER_STARTED);
+	this._response.write(output);
+	this._response.end();
+};
+
+/**
+ * Set the response status code in the response tied to the parent most view
+ * 
+ * @param {int} code
+ * @return {Bifocals} this, used for chaining
+ */
+Bifocals.prototype.setStatusCode = function bifocals_setStatusCode(code) {
+	this.root._response.statusCode = code;
+	return this;
 };
 
 /**
@@ -396,6 +1863,29 @@ Bifocals.prototype.setHeaders = function bifocals_setHeaders(headers) {
 	return this;
 };
 
+/**
+ * Ends the root response in place of rendering it, and settles the root's promise. Status codes below 400 resolve the promise
+ * with the root view, others reject it with the provided error, or else an error whose status is the status code
+ * 
+ * @param  {Error} error optional
+ */
+Bifocals.prototype._endRoot = function bifocals_endRoot(error) {
+	var root = this.root;
+	var code = root._response.statusCode;
+
+	root._response.end();
+
+	if (!error && code >= 400) {
+		error = statusCodeError(code);
+	}
+
+	if (error) {
+		root._reject(error);
+	} else {
+		root._resolve(root);
+	}
+};
+
 /**
  * Return a 404: Not found code, and overwrite the existing template with the one provided
  * 
@@ -407,7 +1897,7 @@ Bifocals.prototype.statusNotFound = function bifocals_statusNotFound(template) {
 	
 	if (typeof template !== "string") {
 		this.root.cancelRender();
-		this.root._response.end();
+		this._endRoot();
 	} else {
 		this.root.render(template, true);
 	}
@@ -416,6 +1906,8 @@ Bifocals.prototype.statusNotFound = function bifocals_statusNotFound(template) {
 /**
  * Return a 500: Error code, and overwrite the existing template with the one provided
  * 
+ * If there is no template, and the root view renders json, the error is written as an application/problem+json document (RFC 7807)
+ * 
  * @param {Error} error the error object you wish to provide to the view
  * @param  {String} template information passed to the root renderer to be immediately rendered
  */
@@ -429,7 +1921,19 @@ Bifocals.prototype.statusError = function bifocals_statusError(error, template)
 		this.root.render(this.root.default500Template, true);
 	} else {
 		this.root.cancelRender();
-		this.root._response.end();
+
+		if (/^application\/([\w.\-]+\+)?json$/.test(this.root.content_type)) {
+			this.setHeaders({
+				'Content-Type' : 'application/problem+json'
+			});
+			this.root._response.write(JSON.stringify({
+				type : 'about:blank',
+				title : http_module.STATUS_CODES[500],
+				status : 500,
+				detail : error instanceof Error ? error.message : undefined
+			}));
+		}
+		this._endRoot(error);
 	}
 };
 
@@ -454,7 +1958,7 @@ Bifocals.prototype.statusCreated = function bifocals_statusCreated(redirect_url)
 		Location : redirect_url
 	});
 	this.root.cancelRender();
-	this.root._response.end();
+	this._endRoot();
 };
 
 /**
@@ -470,23 +1974,78 @@ Bifocals.prototype.statusRedirect = function bifocals_statusRedirect(redirect_ur
 		Location : redirect_url
 	});
 	this.root.cancelRender();
-	this.root._response.end();
+	this._endRoot();
 };
 
 /**
- * Returns a 304: Not found code,
+ * Returns a 304: Not Modified code,
  * 
  * This tells the browser to use a previously cached version of this page.
- * @todo : as a parameter take some headers to control this? date, etag, expires, cache control
+ * The root view calls this itself when the validators provided via etag or lastModified match the request.
+ * Any ETag, Last-Modified, Cache-Control or Expires headers set via those helpers are sent along with it.
  */
 Bifocals.prototype.statusNotModified = function bifocals_statusNotModified() {
 	this.setStatusCode(304);
 	this.root.cancelRender();
-	// date
-	// etag
-	// expires
-	// cache  control
-	this.root._response.end();
+	this._endRoot();
+};
+
+/**
+ * Provides the ETag of the root response before it is rendered. If it matches the request's If-None-Match header, the root view
+ * responds with 304: Not Modified in place of rendering. Must be called before the root view's render.
+ * 
+ * @param  {String} value The entity tag, it is quoted if necessary
+ * @return {Bifocals} this, used for chaining
+ */
+Bifocals.prototype.etag = function bifocals_etag(value) {
+	this.root._etag = conditional_get_module.formatEtag(value);
+	return this.setHeaders({
+		ETag : this.root._etag
+	});
+};
+
+/**
+ * Provides the last time the root response changed before it is rendered. If the request's If-Modified-Since header is not older,
+ * and there is no If-None-Match header, the root view responds with 304: Not Modified in place of rendering. Must be called before the root view's render.
+ * 
+ * @param  {Date} date
+ * @return {Bifocals} this, used for chaining
+ */
+Bifocals.prototype.lastModified = function bifocals_lastModified(date) {
+	this.root._last_modified = new Date(date);
+	return this.setHeaders({
+		'Last-Modified' : this.root._last_modified.toUTCString()
+	});
+};
+
+/**
+ * Sets the Cache-Control header of the root response
+ * 
+ * view.cacheControl({ public : true, max_age : 3600 }); // Cache-Control: public, max-age=3600
+ * 
+ * @param  {Object|String} directives Directive names may use underscores in place of dashes. true values are written without a value
+ * @return {Bifocals} this, used for chaining
+ */
+Bifocals.prototype.cacheControl = function bifocals_cacheControl(directives) {
+	return this.setHeaders({
+		'Cache-Control' : conditional_get_module.cacheControl(directives)
+	});
+};
+
+/**
+ * Sets the Expires header of the root response
+ * 
+ * @param  {Date|Number} date A date, or a number of milliseconds from now
+ * @return {Bifocals} this, used for chaining
+ */
+Bifocals.prototype.expires = function bifocals_expires(date) {
+	if (typeof date === "number") {
+		date = new Date(Date.now() + date);
+	}
+
+	return this.setHeaders({
+		Expires : new Date(date).toUTCString()
+	});
 };
 
 /**
@@ -503,7 +2062,28 @@ Bifocals.prototype.statusUnsupportedMethod = function bifocals_statusUnsupported
 		Allow : supported_methods.join(',')
 	});
 	this.root.cancelRender();
-	this.root._response.end();
+	this._endRoot();
+};
+
+/**
+ * Returns a 406: Not Acceptable code,
+ * 
+ * This is used when none of the content types the client accepts can be rendered.
+ * You may provide the list of content types that are available, they will be written to the response as plain text.
+ * 
+ * @param  {Array} available_content_types
+ */
+Bifocals.prototype.statusNotAcceptable = function bifocals_statusNotAcceptable(available_content_types) {
+	this.setStatusCode(406);
+	this.root.cancelRender();
+
+	if (Array.isArray(available_content_types)) {
+		this.setHeaders({
+			'Content-Type' : 'text/plain'
+		});
+		this.root._response.write(available_content_types.join('\n'));
+	}
+	this._endRoot();
 };
 
 /**
@@ -517,7 +2097,7 @@ Bifocals.prototype.statusUnauthorized = function bifocals_statusUnauthorized(tem
 	this.root.cancelRender();
 	if (typeof template !== "string") {
 		this.root.cancelRender();
-		this.root._response.end();
+		this._endRoot();
 	} else {
 		this.root.render(template, true);
 	}
@@ -0,0 +1,187 @@
+/*
+* build.js
+* Copyright(c) 2012 Aaron Hedges <aaron@dashron.com>
+* MIT Licensed
+*/
+"use strict";
+
+var fs_module = require('fs');
+var path_module = require('path');
+var Bifocals = require('./bifocals');
+
+/**
+ * The file extension written for each content type. Any other content type uses its subtype, or its suffix (application/rss+xml is .xml)
+ * 
+ * @type {Object}
+ */
+var EXTENSIONS = {
+	'text/html' : '.html',
+	'text/plain' : '.txt',
+	'text/javascript' : '.js',
+	'application/javascript' : '.js',
+	'application/json' : '.json'
+};
+
+/**
+ * Finds the file a route is written to, relative to the output directory
+ * 
+ * outputPath('/', 'text/html') === 'index.html'
+ * outputPath('/blog/post-1', 'text/html') === 'blog/post-1.html'
+ * outputPath('/feed.xml', 'application/rss+xml') === 'feed.xml'
+ * 
+ * @param  {String} route
+ * @param  {String} content_type
+ * @return {String|null} null if the route would be written outside of the output directory
+ */
+var outputPath = module.exports.outputPath = function build_outputPath(route, content_type) {
+	var type = String(content_type || 'text/html').split(';')[0].trim().toLowerCase();
+	var extension = EXTENSIONS[type];
+	var file = null;
+
+	if (typeof extension !== "string") {
+		extension = '.' + type.split('/').pop().split('+').pop();
+	}
+
+	file = path_module.normalize('./' + route.split('?')[0]);
+
+	if (file.split(path_module.sep)[0] === '..') {
+		return null;
+	}
+
+	if (file === '.' + path_module.sep || file === '.' || file[file.length - 1] === path_module.sep) {
+		file = path_module.join(file, 'index');
+	}
+
+	if (path_module.extname(file) === '') {
+		file += extension;
+	}
+
+	return file;
+};
+
+/**
+ * Renders one route into a string
+ * 
+ * @param  {Function} setup    The route's setup function from the manifest
+ * @param  {Object}   options  see build
+ * @param  {Function} callback callback(error, output, view)
+ */
+var renderRoute = function build_renderRoute(setup, options, callback) {
+	var root = null;
+
+	(options.environment || Bifocals).renderToString(null, null, function (view) {
+		root = view;
+
+		if (options.dir !== null) {
+			view.dir = options.dir;
+		}
+
+		if (typeof options.timeout === "number") {
+			view.render_timeout = options.timeout;
+		}
+
+		setup(view);
+	}, function (error, output) {
+		// A failed view may still be waiting on other children, stop them
+		if (error && root !== null) {
+			root.cancelRender();
+		}
+		callback(error, output, root);
+	});
+};
+
+/**
+ * Renders every route of a manifest, and writes the output into a directory
+ * 
+ * The manifest maps routes to setup functions. Each setup function receives a root view, and uses the normal Bifocals api
+ * to create its children and render it. The output is written to a file named after the route, with the extension of the view's content type.
+ * 
+ * {
+ *     '/' : function (view) {
+ *         view.child('posts', 'posts').set('posts', posts).render();
+ *         view.render('index');
+ *     },
+ *     '/feed.json' : function (view) {
+ *         view.content_type = 'application/json';
+ *         view.render('feed');
+ *     }
+ * }
+ * 
+ * Views that fail, or end with an error status code, are reported and nothing is written for them.
+ * 
+ * @param  {Object}   manifest A "route => setup function" mapping
+ * @param  {String}   out_dir  The directory the output is written to, it is created if it does not exist
+ * @param  {Object}   options  optional
+ *         dir: the dir of each root view. default: the view's default
+ *         timeout: the render_timeout of each root view, in milliseconds. default: 30000
+ *         log: called with a message each time a route is written or fails
+ *         environment: the environment of each root view, see lib/environment.js. default: the default environment
+ * @param  {Function} callback callback(error, results). results is an array of {route, file, error}, in the order of the manifest.
+ *                             error is only provided if the output directory could not be written to
+ */
+module.exports.build = function build_build(manifest, out_dir, options, callback) {
+	var routes = Object.keys(manifest);
+	var results = [];
+
+	if (typeof options === "function") {
+		callback = options;
+		options = null;
+	}
+
+	options = {
+		dir : options && typeof options.dir === "string" ? options.dir : null,
+		timeout : options && typeof options.timeout === "number" ? options.timeout : 30000,
+		log : options && typeof options.log === "function" ? options.log : function () {},
+		environment : options && options.environment ? options.environment : null
+	};
+
+	var next = function () {
+		var route = routes[results.length];
+
+		if (typeof route === "undefined") {
+			return callback(null, results);
+		}
+
+		renderRoute(manifest[route], options, function (error, output, view) {
+			var file = null;
+			var status = view ? view._response.statusCode : 500;
+
+			// Errors made up from the status code (see Bifocals.renderToString) are reported by the code alone
+			if (status >= 400 && (!error || typeof error.status === "number")) {
+				error = new Error('Responded with status code ' + status);
+			}
+
+			if (!error) {
+				file = outputPath(route, view.content_type);
+				if (file === null) {
+					error = new Error('Route is outside of the output directory');
+				}
+			}
+
+			if (error) {
+				results.push({ route : route, file : null, error : error });
+				options.log('failed ' + route + ': ' + (error.stack || error));
+				return next();
+			}
+
+			file = path_module.join(out_dir, file);
+			fs_module.mkdir(path_module.dirname(file), { recursive : true }, function (error) {
+				if (error) {
+					return callback(error, results);
+				}
+
+				fs_module.writeFile(file, output, function (error) {
+					if (error) {
+						return callback(error, results);
+					}
+
+					results.push({ route : route, file : file, error : null });
+					options.log('wrote ' + route + ' to ' + file);
+					next();
+				});
+			});
+		});
+	};
+
+	next();
+};
@@ -0,0 +1,112 @@
+/*
+* conditional_get.js
+* Copyright(c) 2012 Aaron Hedges <aaron@dashron.com>
+* MIT Licensed
+*/
+"use strict";
+
+var crypto_module = require('crypto');
+
+/**
+ * Quotes an entity tag, unless it is already quoted
+ *
+ * etag('abc') === '"abc"'
+ * etag('W/"abc"') === 'W/"abc"'
+ *
+ * @param  {String} value
+ * @return {String}
+ */
+var formatEtag = module.exports.formatEtag = function conditional_get_formatEtag(value) {
+	value = String(value);
+
+	if (/^(W\/)?".*"$/.test(value)) {
+		return value;
+	}
+	return '"' + value + '"';
+};
+
+/**
+ * Builds a strong entity tag from a response body
+ *
+ * @param  {Array} chunks The strings and buffers written to the response
+ * @return {String}
+ */
+module.exports.hashEtag = function conditional_get_hashEtag(chunks) {
+	var hash = crypto_module.createHash('sha1');
+
+	chunks.forEach(function (chunk) {
+		hash.update(Buffer.isBuffer(chunk) ? chunk : String(chunk));
+	});
+
+	return formatEtag(hash.digest('base64').replace(/=+$/, ''));
+};
+
+/**
+ * Builds a Cache-Control header value
+ *
+ * cacheControl({public : true, max_age : 60}) === 'public, max-age=60'
+ *
+ * @param  {Object|String} directives Directive names may use underscores in place of dashes. true values are written without a value
+ * @return {String}
+ */
+module.exports.cacheControl = function conditional_get_cacheControl(directives) {
+	var parts = [];
+	var key = null;
+
+	if (typeof directives === "string") {
+		return directives;
+	}
+
+	for (key in directives) {
+		if (directives[key] === true) {
+			parts.push(key.replace(/_/g, '-'));
+		} else if (directives[key] !== false && directives[key] !== null && typeof directives[key] !== "undefined") {
+			parts.push(key.replace(/_/g, '-') + '=' + directives[key]);
+		}
+	}
+
+	return parts.join(', ');
+};
+
+/**
+ * Whether the client's cached copy is still fresh, according to the request's If-None-Match and If-Modified-Since headers.
+ * If-Modified-Since is only used when there is no If-None-Match, and only GET and HEAD requests can be fresh.
+ *
+ * @param  {Object} request       Anything with a method and headers, such as an http.IncomingMessage
+ * @param  {String} etag          optional, the entity tag of the response
+ * @param  {Date} last_modified   optional, when the response last changed
+ * @return {Boolean}
+ */
+module.exports.isFresh = function conditional_get_isFresh(request, etag, last_modified) {
+	var headers = request && request.headers ? request.headers : {};
+	var none_match = headers['if-none-match'];
+	var modified_since = headers['if-modified-since'];
+	var weak = function (value) {
+		return value.trim().replace(/^W\//, '');
+	};
+
+	if (request && request.method && request.method !== 'GET' && request.method !== 'HEAD') {
+		return false;
+	}
+
+	if (typeof none_match === "string") {
+		if (!etag) {
+			return false;
+		}
+
+		if (none_match.trim() === '*') {
+			return true;
+		}
+
+		return none_match.split(',').map(weak).indexOf(weak(etag)) !== -1;
+	}
+
+	if (typeof modified_since === "string" && last_modified) {
+		modified_since = Date.parse(modified_since);
+
+		// Dates in headers only have second precision
+		return !isNaN(modified_since) && Math.floor(last_modified.getTime() / 1000) * 1000 <= modified_since;
+	}
+
+	return false;
+};
@@ -0,0 +1,451 @@
+/*
+* environment.js
+* Copyright(c) 2012 Aaron Hedges <aaron@dashron.com>
+* MIT Licensed
+*/
+"use strict";
+
+var util_module = require('util');
+var path_module = require('path');
+var EventEmitter = require('events').EventEmitter;
+var negotiator_module = require('./negotiator');
+var fragment_cache_module = require('./fragment_cache');
+var template_resolver_module = require('./template_resolver');
+var adapters_module = require('./adapters');
+
+/**
+ * Holds its own renderers, engines, layouts, components and cache store, so that many apps (or test suites) can share a process.
+ * Views created by an environment, and all of their children, only use that environment. The functions of the module
+ * use the default environment, see module.getInstance
+ * 
+ * var environment = bifocals_module.createInstance({ dir : __dirname + '/templates/' });
+ * environment.addRenderer('text/html', HandlebarsRenderer);
+ * 
+ * http_module.createServer(function (request, response) {
+ *     var view = environment.createView(response, request);
+ *     view.content_type = environment.negotiateContentType(request.headers.accept);
+ *     view.render('index');
+ * });
+ * 
+ * EVENTS:
+ * view (view): a view was created by this environment, or as a child or layout of one of its views
+ * 
+ * @param {Object} options optional
+ *        dir: the dir of every root view. default: ''
+ *        dirs: the dirs of every root view, searched in order for each template. default: null
+ *        default500Template: the default500Template of every root view
+ */
+var Environment = module.exports = function Environment(options) {
+	EventEmitter.call(this);
+
+	this._renderers = {};
+	this._engines = {};
+	this._extensions = {};
+	this._layouts = {};
+	this._components = {};
+	this._cache_store = null;
+	this._message_catalog = null;
+
+	if (options) {
+		if (typeof options.dir === "string") {
+			this.dir = options.dir;
+		}
+
+		if (Array.isArray(options.dirs)) {
+			this.dirs = options.dirs;
+		}
+
+		if (typeof options.default500Template === "string") {
+			this.default500Template = options.default500Template;
+		}
+	}
+};
+
+util_module.inherits(Environment, EventEmitter);
+
+Environment.prototype._renderers = null;
+Environment.prototype._engines = null;
+Environment.prototype._extensions = null;
+Environment.prototype._layouts = null;
+Environment.prototype._components = null;
+Environment.prototype._cache_store = null;
+Environment.prototype._message_catalog = null;
+
+/**
+ * The dir of every root view created by this environment, null leaves the view's default
+ * 
+ * @type {String}
+ */
+Environment.prototype.dir = null;
+
+/**
+ * The dirs of every root view created by this environment, see Bifocals.dirs
+ * 
+ * @type {Array}
+ */
+Environment.prototype.dirs = null;
+
+/**
+ * The default500Template of every root view created by this environment, see Bifocals.default500Template
+ * 
+ * @type {String}
+ */
+Environment.prototype.default500Template = null;
+
+/**
+ * Ties a view to this environment
+ * 
+ * @param  {Bifocals} view
+ * @param  {Boolean} root  Whether to apply the root view defaults
+ * @return {Bifocals} view
+ */
+Environment.prototype._adopt = function environment_adopt(view, root) {
+	view.environment = this;
+
+	if (root) {
+		if (this.dir !== null) {
+			view.dir = this.dir;
+		}
+
+		if (this.dirs !== null) {
+			view.dirs = this.dirs;
+		}
+
+		if (this.default500Template !== null) {
+			view.default500Template = this.default500Template;
+		}
+	}
+
+	this.emit('view', view);
+	return view;
+};
+
+/**
+ * Creates a root view that uses this environment
+ * 
+ * @param  {Object} response
+ * @param  {Object} request  optional
+ * @return {Bifocals}
+ */
+Environment.prototype.createView = function environment_createView(response, request) {
+	// lazy load, lib/bifocals.js requires the index which requires this file. Whichever loads first, this one gets the full module
+	var Bifocals = require('./bifocals');
+	return this._adopt(new Bifocals(response, request), true);
+};
+
+/**
+ * Wraps a setup function of Bifocals.renderToString or Bifocals.renderToStream, so the view uses this environment
+ * 
+ * @param  {Function} setup optional
+ * @return {Function}
+ */
+Environment.prototype._setup = function environment_setup(setup) {
+	var _self = this;
+
+	return function (view) {
+		_self._adopt(view, true);
+
+		if (typeof setup === "function") {
+			setup(view);
+		}
+	};
+};
+
+/**
+ * Renders a view that uses this environment into a string, see Bifocals.renderToString
+ * 
+ * @param  {String}   template
+ * @param  {Object}   data
+ * @param  {Function} setup
+ * @param  {Function} callback
+ * @return {Promise}
+ */
+Environment.prototype.renderToString = function environment_renderToString(template, data, setup, callback) {
+	return require('./bifocals').renderToString(template, data, this._setup(setup), callback);
+};
+
+/**
+ * Renders a view that uses this environment into a readable stream, see Bifocals.renderToStream
+ * 
+ * @param  {String}   template
+ * @param  {Object}   data
+ * @param  {Function} setup
+ * @return {stream.Readable}
+ */
+Environment.prototype.renderToStream = function environment_renderToStream(template, data, setup) {
+	return require('./bifocals').renderToStream(template, data, this._setup(setup));
+};
+
+/**
+ * Express (4 and up) and connect middleware whose views use this environment, see module.__express
+ * 
+ * @param  {Object} options optional, see lib/express_extensions.js
+ * @return {Function} middleware(req, res, next)
+ */
+Environment.prototype.middleware = function environment_middleware(options) {
+	var middleware_options = { environment : this };
+	var key = null;
+
+	for (key in options) {
+		middleware_options[key] = options[key];
+	}
+
+	return require('./express_extensions').middleware(middleware_options);
+};
+
+/**
+ * Registers a renderer object to a content type. Functions are adapted into Renderer classes here, see lib/adapters.js
+ * 
+ * @param {string} content_type The content type (or mime type) of the request
+ * @param {Renderer|Function|String} renderer The renderer object that will handle view data, or the name of an engine registered via addEngine
+ * @throws {Error} If the renderer is neither a function nor the name of an engine
+ */
+Environment.prototype.addRenderer = function environment_addRenderer(content_type, renderer) {
+	this._renderers[content_type] = typeof renderer === "string" ? renderer : adapters_module.toRenderer(renderer);
+};
+
+/**
+ * Returns a renderer for a content type
+ * 
+ * @param  {string} content_type The content type (or mime type) of the request
+ * @return {Renderer}              The renderer associated with the content type
+ * @throws {Error} If a renderer has not been added to the content_type
+ */
+Environment.prototype.getRenderer = function environment_getRenderer(content_type) {
+	if (typeof this._renderers[content_type] === "string") {
+		return this.getEngine(this._renderers[content_type]);
+	} else if (this._renderers[content_type]) {
+		return this._renderers[content_type];
+	} else {
+		throw new Error('Unsupported content type :' + content_type);
+	}
+};
+
+/**
+ * Registers a renderer by name, so that views can choose it regardless of their content type.
+ * Templates that end with one of the extensions are rendered by this engine, unless their view chose another.
+ * 
+ * bifocals_module.addEngine('markdown', MarkdownRenderer, ['.md']);
+ * view.child('intro', 'intro.md'); // rendered by MarkdownRenderer, inside a text/html page
+ * 
+ * @param {String} name
+ * @param {Renderer|Function} renderer The renderer object that will handle view data, functions are adapted as in addRenderer
+ * @param {Array} extensions           optional, template extensions such as ".md"
+ * @throws {Error} If the renderer is not a function
+ */
+Environment.prototype.addEngine = function environment_addEngine(name, renderer, extensions) {
+	var _self = this;
+	this._engines[name] = adapters_module.toRenderer(renderer);
+
+	if (Array.isArray(extensions)) {
+		extensions.forEach(function (extension) {
+			_self._extensions[extension[0] === '.' ? extension : '.' + extension] = name;
+		});
+	}
+};
+
+/**
+ * Returns a renderer by name
+ * 
+ * @param  {String} name
+ * @return {Renderer}
+ * @throws {Error} If no engine has been added with the name
+ */
+Environment.prototype.getEngine = function environment_getEngine(name) {
+	if (this._engines[name]) {
+		return this._engines[name];
+	} else {
+		throw new Error('Unknown engine :' + name);
+	}
+};
+
+/**
+ * Returns the name of the engine registered to a template's extension
+ * 
+ * @param  {String} template
+ * @return {String|null}
+ */
+Environment.prototype.getEngineName = function environment_getEngineName(template) {
+	var extension = typeof template === "string" ? path_module.extname(template) : '';
+
+	if (extension !== '' && this._extensions.hasOwnProperty(extension)) {
+		return this._extensions[extension];
+	}
+	return null;
+};
+
+/**
+ * Returns every content type that has a renderer, in the order they were added
+ * 
+ * @return {Array}
+ */
+Environment.prototype.getContentTypes = function environment_getContentTypes() {
+	return Object.keys(this._renderers);
+};
+
+/**
+ * Picks the best registered content type for the provided Accept header.
+ * q-values and wildcards are respected, see lib/negotiator.js
+ * 
+ * @param  {String} accept The raw Accept header of the request
+ * @return {String|null}   The content type, or null if no registered content type is acceptable
+ */
+Environment.prototype.negotiateContentType = function environment_negotiateContentType(accept) {
+	return negotiator_module.negotiate(accept, this.getContentTypes());
+};
+
+/**
+ * Registers a layout, which views can wrap themselves in via Bifocals.layout
+ * 
+ * bifocals_module.addLayout('layouts/main', function (layout) {
+ *     layout.child('header').render('header');
+ *     layout.layout('layouts/base');
+ * });
+ * 
+ * @param {String}   name  The name views use to reference the layout. This is the layout's template unless the setup function changes it
+ * @param {Function} setup Called with a new layout view every time the layout is used. Use it to create the default children
+ */
+Environment.prototype.addLayout = function environment_addLayout(name, setup) {
+	this._layouts[name] = setup;
+};
+
+/**
+ * Returns the setup function of a layout
+ * 
+ * @param  {String} name
+ * @return {Function|null} null if the layout was not registered
+ */
+Environment.prototype.getLayout = function environment_getLayout(name) {
+	return this._layouts[name] || null;
+};
+
+/**
+ * Registers a component, a reusable child view with its own data loader. Views create components via Bifocals.component
+ * 
+ * bifocals_module.addComponent('userCard', function (view, params, done) {
+ *     database.getUser(params.id, function (err, user) {
+ *         view.set('user', user);
+ *         done(err, 'cards/user');
+ *     });
+ * });
+ * 
+ * @param {String}   name
+ * @param {Function} loader Called with the new child view, the params provided to Bifocals.component, and a callback.
+ *                          Call done(error, template) once the data is loaded. The template defaults to the view's template, or the component name.
+ *                          Instead of calling done, the loader may return a promise.
+ */
+Environment.prototype.addComponent = function environment_addComponent(name, loader) {
+	this._components[name] = loader;
+};
+
+/**
+ * Returns the data loader of a component
+ * 
+ * @param  {String} name
+ * @return {Function}
+ * @throws {Error} If a component has not been added with the name
+ */
+Environment.prototype.getComponent = function environment_getComponent(name) {
+	if (this._components[name]) {
+		return this._components[name];
+	} else {
+		throw new Error('Unknown component :' + name);
+	}
+};
+
+/**
+ * Replaces the store used to cache the output of child views. See lib/fragment_cache.js for the interface a store must implement
+ * 
+ * @param {Object} store
+ */
+Environment.prototype.setCacheStore = function environment_setCacheStore(store) {
+	this._cache_store = store;
+};
+
+/**
+ * Returns the store used to cache the output of child views. By default this is an in memory, least recently used cache
+ * 
+ * @return {Object}
+ */
+Environment.prototype.getCacheStore = function environment_getCacheStore() {
+	if (this._cache_store === null) {
+		this._cache_store = new fragment_cache_module.MemoryStore();
+	}
+	return this._cache_store;
+};
+
+/**
+ * Removes a cached child view output
+ * 
+ * @param  {String}   key      The key provided in the cache option of Bifocals.child
+ * @param  {Function} callback optional, callback(error)
+ */
+Environment.prototype.invalidateCache = function environment_invalidateCache(key, callback) {
+	this.getCacheStore().del(key, callback);
+};
+
+/**
+ * Removes every cached child view output that was tagged with the tag
+ * 
+ * @param  {String}   tag      One of the tags provided in the cache option of Bifocals.child
+ * @param  {Function} callback optional, callback(error)
+ */
+Environment.prototype.invalidateCacheTag = function environment_invalidateCacheTag(tag, callback) {
+	this.getCacheStore().invalidateTag(tag, callback);
+};
+
+/**
+ * Sets the messages that views translate through their t helper, see Bifocals.translate.
+ * The catalog is either an object of messages per locale, or a function that looks up a single message
+ * 
+ * environment.setMessageCatalog({ fr : { 'Hello {user}' : 'Bonjour {user}' } });
+ * environment.setMessageCatalog(function (locale, key) {
+ *     return i18n.lookup(locale, key); // or null if there is no translation
+ * });
+ * 
+ * @param {Object|Function} catalog
+ */
+Environment.prototype.setMessageCatalog = function environment_setMessageCatalog(catalog) {
+	this._message_catalog = catalog;
+};
+
+/**
+ * Returns the message catalog
+ * 
+ * @return {Object|Function|null} null if no catalog has been set
+ */
+Environment.prototype.getMessageCatalog = function environment_getMessageCatalog() {
+	return this._message_catalog;
+};
+
+/**
+ * Returns the translation of a message. "fr-CA" falls back to "fr" when it has no translation
+ * 
+ * @param  {String} locale
+ * @param  {String} key
+ * @return {String|null} null if the message has no translation
+ */
+Environment.prototype.getMessage = function environment_getMessage(locale, key) {
+	var catalog = this._message_catalog;
+	var locales = template_resolver_module.localeChain(locale);
+	var message = null;
+	var i = 0;
+
+	if (catalog === null) {
+		return null;
+	}
+
+	for (i = 0; i < locales.length; i++) {
+		if (typeof catalog === "function") {
+			message = catalog(locales[i], key);
+		} else if (catalog[locales[i]] && catalog[locales[i]].hasOwnProperty(key)) {
+			message = catalog[locales[i]][key];
+		}
+
+		if (typeof message === "string") {
+			return message;
+		}
+	}
+
+	return null;
+};
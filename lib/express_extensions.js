@@ -1,40 +1,181 @@
 "use strict";
 
-var Bifocals = require('../index').Bifocals;
+var path_module = require('path');
+var root_module = require('../index');
 
+/**
+ * Copies every key of each source into the target, later sources win
+ * 
+ * @param  {Object} target
+ * @param  {Array} sources
+ * @return {Object} target
+ */
+var merge = function express_extensions_merge(target, sources) {
+	sources.forEach(function (source) {
+		var key = null;
+
+		if (source !== null && typeof source === "object") {
+			for (key in source) {
+				target[key] = source[key];
+			}
+		}
+	});
+	return target;
+};
+
+/**
+ * Adds the view engine's extension to a template name that does not have one, like express does
+ * 
+ * @param  {String} name
+ * @param  {String} engine The "view engine" setting, such as "html" or ".html"
+ * @return {String}
+ */
+var withExtension = function express_extensions_withExtension(name, engine) {
+	if (typeof name !== "string" || typeof engine !== "string" || path_module.extname(name) !== '') {
+		return name;
+	}
+	return name + (engine[0] === '.' ? '' : '.') + engine;
+};
+
+/**
+ * A response that collects the output into a string, so it can be handed to a render callback.
+ * Headers and the status code are still set on the real response
+ * 
+ * @param  {Object}   res
+ * @param  {Function} callback callback(output)
+ * @return {Object}
+ */
+var captureResponse = function express_extensions_captureResponse(res, callback) {
+	var chunks = [];
+	var capture = {
+		setHeader : function (name, value) {
+			return res.setHeader(name, value);
+		},
+		getHeader : function (name) {
+			return res.getHeader(name);
+		},
+		write : function (chunk) {
+			chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk)));
+		},
+		end : function () {
+			callback(Buffer.concat(chunks).toString());
+		}
+	};
+
+	Object.defineProperty(capture, 'statusCode', {
+		get : function () {
+			return res.statusCode;
+		},
+		set : function (code) {
+			res.statusCode = code;
+		}
+	});
+
+	return capture;
+};
+
+/**
+ * Express (4 and up) and connect middleware. Creates a root view for each request, and replaces res.render so that it renders the root view.
+ * 
+ * res.bifocals is the root view, create children from it before calling res.render:
+ * 
+ * app.get('/', function (req, res) {
+ *     res.bifocals.child('header', 'header').set('title', 'Home').render();
+ *     res.render('index', { user : req.user });
+ * });
+ * 
+ * res.render merges app.locals, res.locals and the provided data into the root view, and adds the "view engine" extension to the template name.
+ * Given a callback, the output is provided to callback(err, html) instead of being sent.
+ * 
+ * The content type negotiated from the Accept header is available as res.content_type, or null if no renderer is acceptable.
+ * Rendering the view responds with 406 Not Acceptable in that case (callbacks get an error with a status of 406), other routes are unaffected.
+ * 
+ * @param  {Object} options optional
+ *         views: the directory (or list of directories) templates are loaded from, for apps that have no "views" setting (such as connect)
+ *         app: the express app, express 4 and up provides this through the request
+ *         environment: the environment of the views, see Environment.middleware. default: the default environment
+ * @return {Function} middleware(req, res, next)
+ */
 module.exports.middleware = function (options) {
-	var app = options.app;
+	options = options || {};
 
 	return function (req, res, next) {
-		var root = new Bifocals(res);
-		root.dir = app.get('views') + '/';
-		// todo: pull this from the request's accept headers
-		root.content_type = 'text/html';
+		var environment = options.environment || root_module.getInstance();
+		var app = req.app || options.app || null;
+		var views = app ? app.get('views') : options.views;
+		var root = environment.createView(res, req);
+		var render = root.render;
+
+		// Express allows a list of view directories, which are searched in order
+		if (Array.isArray(views)) {
+			root.dirs = views;
+		} else if (typeof views === "string") {
+			root.dir = path_module.join(views, path_module.sep);
+		}
 
-		res.child = function (key, template) {
-			return root.child(key, template);
+		root.content_type = environment.negotiateContentType(req.headers.accept);
+		res.content_type = root.content_type;
+		res.bifocals = root;
+
+		// The response differs per Accept header, so caches need to know about it
+		if (res.vary) {
+			res.vary('Accept');
+		}
+
+		// Routes that never render a view (static files, res.json) are not affected by the negotiation,
+		// only rendering a view without an acceptable content type responds with 406 Not Acceptable
+		root.render = function express_extensions_render(template, force) {
+			if (root.content_type === null) {
+				root.statusNotAcceptable(environment.getContentTypes());
+				return root.promise();
+			}
+			return render.call(root, template, force);
+		};
+
+		// Shorthand for res.bifocals.child, which also adds the "view engine" extension to the template
+		res.child = function (key, template, child_options) {
+			return root.child(key, withExtension(template, app ? app.get('view engine') : null), child_options);
 		};
 
 		res.render = function (name, opts, fn) {
-			if (typeof opts === "object") {
-				Object.keys(opts).forEach(function (value, key) {
-					root.set(key, value);
-				});
+			var data = null;
+			var key = null;
+			var error = null;
+
+			if (typeof opts === "function") {
+				fn = opts;
+				opts = {};
+			}
+
+			data = merge({}, [app ? app.locals : null, res.locals, opts]);
+			for (key in data) {
+				root.set(key, data[key]);
 			}
 
 			if (typeof fn === "function") {
+				if (root.content_type === null) {
+					error = new Error('Not Acceptable');
+					error.status = 406;
+					return fn(error);
+				}
+
+				root._response = captureResponse(res, function (html) {
+					fn(null, html);
+				});
+
 				root.error(function (err) {
 					fn(err);
 				});
-
-				root.end(function() {
-					fn(null);
+			} else {
+				// Express points req.next at the current route, connect only has the middleware's next
+				root.error(function (err) {
+					(typeof req.next === "function" ? req.next : next)(err);
 				});
 			}
 
-			root.render(name);
+			root.render(withExtension(name, app ? app.get('view engine') : null));
 		};
 
 		next();
 	};
-};
\ No newline at end of file
+};
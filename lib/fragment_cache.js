@@ -0,0 +1,197 @@
+/*
+* fragment_cache.js
+* Copyright(c) 2012 Aaron Hedges <aaron@dashron.com>
+* MIT Licensed
+*/
+"use strict";
+
+/**
+ * An in memory, least recently used cache of rendered child views. This is the default store, see module.setCacheStore
+ *
+ * Any store can be used in its place, as long as it implements these asynchronous methods:
+ * get(key, callback): callback(error, output), output is undefined if the key is not cached or has expired
+ * set(key, output, options, callback): options.ttl is the lifetime in milliseconds (null for forever), options.tags is an array of tags. callback(error)
+ * del(key, callback): callback(error)
+ * invalidateTag(tag, callback): removes every key that was set with the tag. callback(error)
+ *
+ * @param {Object} options optional
+ *        max: the most entries to keep, the least recently used entry is removed to make room. default: 1000
+ */
+var MemoryStore = module.exports.MemoryStore = function MemoryStore(options) {
+	this._entries = {};
+	this._size = 0;
+	this._head = null;
+	this._tail = null;
+
+	if (options && typeof options.max === "number") {
+		this.max = options.max;
+	}
+};
+
+/**
+ * The most entries to keep
+ *
+ * @type {Number}
+ */
+MemoryStore.prototype.max = 1000;
+
+MemoryStore.prototype._entries = null;
+MemoryStore.prototype._size = 0;
+// Most recently used
+MemoryStore.prototype._head = null;
+// Least recently used
+MemoryStore.prototype._tail = null;
+
+/**
+ * Removes an entry from the recently used list
+ *
+ * @param  {Object} entry
+ */
+MemoryStore.prototype._unlink = function memory_store_unlink(entry) {
+	if (entry.newer) {
+		entry.newer.older = entry.older;
+	} else {
+		this._head = entry.older;
+	}
+
+	if (entry.older) {
+		entry.older.newer = entry.newer;
+	} else {
+		this._tail = entry.newer;
+	}
+
+	entry.newer = entry.older = null;
+};
+
+/**
+ * Marks an entry as the most recently used
+ *
+ * @param  {Object} entry
+ */
+MemoryStore.prototype._touch = function memory_store_touch(entry) {
+	entry.older = this._head;
+	entry.newer = null;
+
+	if (this._head) {
+		this._head.newer = entry;
+	}
+	this._head = entry;
+
+	if (!this._tail) {
+		this._tail = entry;
+	}
+};
+
+/**
+ * Removes an entry from the store
+ *
+ * @param  {String} key
+ */
+MemoryStore.prototype._remove = function memory_store_remove(key) {
+	if (this._entries.hasOwnProperty(key)) {
+		this._unlink(this._entries[key]);
+		delete this._entries[key];
+		this._size--;
+	}
+};
+
+/**
+ * Retrieves a cached output
+ *
+ * @param  {String}   key
+ * @param  {Function} callback callback(error, output), output is undefined on a miss
+ */
+MemoryStore.prototype.get = function memory_store_get(key, callback) {
+	var entry = this._entries.hasOwnProperty(key) ? this._entries[key] : null;
+	var output;
+
+	if (entry !== null) {
+		if (entry.expires !== null && entry.expires <= Date.now()) {
+			this._remove(key);
+		} else {
+			this._unlink(entry);
+			this._touch(entry);
+			output = entry.output;
+		}
+	}
+
+	process.nextTick(function () {
+		callback(null, output);
+	});
+};
+
+/**
+ * Caches an output
+ *
+ * @param {String}   key
+ * @param {Mixed}    output
+ * @param {Object}   options  optional. ttl: lifetime in milliseconds, tags: array of tags to invalidate the output by
+ * @param {Function} callback optional, callback(error)
+ */
+MemoryStore.prototype.set = function memory_store_set(key, output, options, callback) {
+	var entry = null;
+	options = options || {};
+
+	this._remove(key);
+
+	entry = {
+		key : key,
+		output : output,
+		expires : typeof options.ttl === "number" ? Date.now() + options.ttl : null,
+		tags : Array.isArray(options.tags) ? options.tags : [],
+		newer : null,
+		older : null
+	};
+
+	this._entries[key] = entry;
+	this._size++;
+	this._touch(entry);
+
+	while (this._size > this.max) {
+		this._remove(this._tail.key);
+	}
+
+	if (typeof callback === "function") {
+		process.nextTick(function () {
+			callback(null);
+		});
+	}
+};
+
+/**
+ * Removes a cached output
+ *
+ * @param  {String}   key
+ * @param  {Function} callback optional, callback(error)
+ */
+MemoryStore.prototype.del = function memory_store_del(key, callback) {
+	this._remove(key);
+
+	if (typeof callback === "function") {
+		process.nextTick(function () {
+			callback(null);
+		});
+	}
+};
+
+/**
+ * Removes every cached output that was set with the tag
+ *
+ * @param  {String}   tag
+ * @param  {Function} callback optional, callback(error)
+ */
+MemoryStore.prototype.invalidateTag = function memory_store_invalidateTag(tag, callback) {
+	var key = null;
+
+	for (key in this._entries) {
+		if (this._entries[key].tags.indexOf(tag) !== -1) {
+			this._remove(key);
+		}
+	}
+
+	if (typeof callback === "function") {
+		process.nextTick(function () {
+			callback(null);
+		});
+	}
+};
@@ -0,0 +1,118 @@
+/*
+* negotiator.js
+* Copyright(c) 2012 Aaron Hedges <aaron@dashron.com>
+* MIT Licensed
+*/
+"use strict";
+
+/**
+ * Parses an Accept header into a list of media ranges, in the order they were provided.
+ *
+ * "text/html;level=1, application/json;q=0.5, * /*;q=0.1" becomes
+ * [{type : 'text', subtype : 'html', q : 1, index : 0}, {type : 'application', subtype : 'json', q : 0.5, index : 1}, ...]
+ *
+ * Media ranges with a quality of 0 are kept, they explicitly mark a content type as unacceptable.
+ *
+ * @param  {String} header The raw Accept header. A missing header is treated as * /*
+ * @return {Array}
+ */
+var parse = module.exports.parse = function negotiator_parse(header) {
+	var ranges = [];
+
+	if (typeof header !== "string" || header.trim() === '') {
+		header = '*/*';
+	}
+
+	header.split(',').forEach(function (part, index) {
+		var params = part.split(';');
+		var media_type = params.shift().trim().toLowerCase().split('/');
+		var q = 1;
+
+		if (media_type.length !== 2 || media_type[0] === '' || media_type[1] === '') {
+			return;
+		}
+
+		params.forEach(function (param) {
+			var pair = param.split('=');
+			if (pair[0].trim().toLowerCase() === 'q') {
+				q = parseFloat(pair[1]);
+			}
+		});
+
+		if (isNaN(q)) {
+			q = 1;
+		}
+
+		ranges.push({
+			type : media_type[0],
+			subtype : media_type[1],
+			q : Math.max(0, Math.min(1, q)),
+			index : index
+		});
+	});
+
+	return ranges;
+};
+
+/**
+ * Finds the most specific media range that matches the content type
+ *
+ * @param  {String} content_type
+ * @param  {Array} ranges  The output of parse
+ * @return {Object|null}
+ */
+var match = function negotiator_match(content_type, ranges) {
+	var parts = content_type.toLowerCase().split(';')[0].trim().split('/');
+	var best = null;
+	var best_specificity = -1;
+
+	ranges.forEach(function (range) {
+		var specificity = -1;
+
+		if (range.type === parts[0] && range.subtype === parts[1]) {
+			specificity = 2;
+		} else if (range.type === parts[0] && range.subtype === '*') {
+			specificity = 1;
+		} else if (range.type === '*' && range.subtype === '*') {
+			specificity = 0;
+		}
+
+		if (specificity > best_specificity) {
+			best = range;
+			best_specificity = specificity;
+		}
+	});
+
+	return best;
+};
+
+/**
+ * Picks the best content type for an Accept header out of a list of available content types.
+ *
+ * The content type with the highest quality wins. Ties are broken by the order of the Accept header,
+ * and then by the order of the available list.
+ *
+ * @param  {String} header    The raw Accept header
+ * @param  {Array} available A list of content types, in order of preference
+ * @return {String|null}     The chosen content type, or null if none are acceptable
+ */
+module.exports.negotiate = function negotiator_negotiate(header, available) {
+	var ranges = parse(header);
+	var best = null;
+	var best_range = null;
+
+	available.forEach(function (content_type) {
+		var range = match(content_type, ranges);
+
+		if (range === null || range.q === 0) {
+			return;
+		}
+
+		if (best_range === null || range.q > best_range.q || (range.q === best_range.q && range.index < best_range.index)) {
+			best = content_type;
+			best_range = range;
+		}
+	});
+
+	return best;
+};
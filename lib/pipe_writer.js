@@ -0,0 +1,129 @@
+/*
+* pipe_writer.js
+* Copyright(c) 2012 Aaron Hedges <aaron@dashron.com>
+* MIT Licensed
+*/
+"use strict";
+
+var split = require('./slot_writer').split;
+
+/**
+ * Builds the chunk that moves a slot's output into its placeholder once it reaches the browser
+ *
+ * @param  {String} id     The id of the placeholder
+ * @param  {String} output
+ * @return {String}
+ */
+var fillChunk = function pipe_writer_fillChunk(id, output) {
+	return '<div hidden id="' + id + '-fill">' + output + '</div>' +
+		'<script>(function (s, f) {' +
+			'while (f.firstChild) { s.parentNode.insertBefore(f.firstChild, s); }' +
+			's.parentNode.removeChild(s); f.parentNode.removeChild(f);' +
+		'}(document.getElementById("' + id + '"), document.getElementById("' + id + '-fill")));</script>';
+};
+
+/**
+ * Writes rendered output to a response BigPipe style. The layout is written at once with an empty placeholder for each slot,
+ * and each slot is written as its own chunk, with a small inline script that moves it into the placeholder, in whatever order they are filled.
+ *
+ * Anything from the closing body tag on is held back until every slot has been written.
+ *
+ * Shares its interface with SlotWriter.
+ *
+ * @param {Object} response The response that chunks are written to. It is never ended by the writer
+ * @param {String} output   The rendered output, containing slot tokens
+ * @param {Object} slots    A "token => key" mapping
+ */
+var PipeWriter = module.exports = function PipeWriter(response, output, slots) {
+	var layout = '';
+	var last_slot = -1;
+	var body_index = -1;
+	var _self = this;
+
+	this.response = response;
+	this._pending = {};
+	this._ready = [];
+	this._remaining = 0;
+
+	split(String(output), slots).forEach(function (part, index) {
+		var id = null;
+
+		if (typeof part.key === "string") {
+			id = 'bifocals-slot-' + index;
+			if (!_self._pending.hasOwnProperty(part.key)) {
+				_self._pending[part.key] = [];
+			}
+			_self._pending[part.key].push(id);
+			_self._remaining++;
+
+			layout += '<span id="' + id + '"></span>';
+			last_slot = layout.length;
+		} else {
+			layout += part.text;
+		}
+	});
+
+	body_index = layout.toLowerCase().lastIndexOf('</body>');
+
+	if (body_index !== -1 && body_index >= last_slot) {
+		this._layout = layout.slice(0, body_index);
+		this._tail = layout.slice(body_index);
+	} else {
+		this._layout = layout;
+		this._tail = '';
+	}
+};
+
+PipeWriter.prototype.response = null;
+PipeWriter.prototype._layout = null;
+PipeWriter.prototype._tail = null;
+PipeWriter.prototype._pending = null;
+PipeWriter.prototype._ready = null;
+PipeWriter.prototype._remaining = 0;
+
+/**
+ * Provides the output of a slot. Nothing is written until flush is called
+ *
+ * @param  {String} key
+ * @param  {String} output
+ * @return {PipeWriter} this, used for chaining
+ */
+PipeWriter.prototype.fill = function pipe_writer_fill(key, output) {
+	var _self = this;
+
+	if (this._pending.hasOwnProperty(key)) {
+		this._pending[key].forEach(function (id) {
+			_self._ready.push(fillChunk(id, output));
+			_self._remaining--;
+		});
+		delete this._pending[key];
+	}
+
+	return this;
+};
+
+/**
+ * Writes the layout if it has not been written yet, and every slot that has been filled since the last flush
+ *
+ * @return {Boolean} true if all of the output has been written
+ */
+PipeWriter.prototype.flush = function pipe_writer_flush() {
+	if (this._layout !== null) {
+		this.response.write(this._layout);
+		this._layout = null;
+	}
+
+	while (this._ready.length) {
+		this.response.write(this._ready.shift());
+	}
+
+	if (this._remaining === 0) {
+		if (this._tail) {
+			this.response.write(this._tail);
+			this._tail = '';
+		}
+		return true;
+	}
+
+	return false;
+};
@@ -1,49 +1,62 @@
 "use strict";
 
+var util_module = require('util');
+var EventEmitter = require('events').EventEmitter;
+
 /**
  * Base object to handle rendering view data
+ *
+ * Renderers report their outcome through two events, which should be listened for before render is called.
+ * error (error, template): the template could not be rendered
+ * end: the template has been written to the response
  */
 var Renderer = module.exports = function Renderer() {
+	EventEmitter.call(this);
 	this.response = {};
 	this.data = {};
 };
 
+util_module.inherits(Renderer, EventEmitter);
+
 Renderer.prototype.response = null;
 Renderer.prototype.data = null;
+// The request of the root view, or null if the view was not given one
+Renderer.prototype.request = null;
 
-Renderer.prototype._error = function renderer_defaultError(err) {
-	// In case the error is called before the error handler is applied, we mess with the function so we still get output
-	this.error = function (fn) {
-		process.nextTick(function () {
-			fn(err);
-		});
-		return this;
-	};
+/**
+ * Reports an error. Subclasses call this when rendering fails
+ *
+ * @param  {Error} err
+ * @param  {String} template
+ */
+Renderer.prototype._error = function renderer_emitError(err, template) {
+	this.emit('error', err, template);
 };
-Renderer.prototype._end = function renderer_defaultEnd() {
-	this.end = function (fn) {
-		process.nextTick(fn);
-		return this;
-	};
+
+/**
+ * Reports that rendering has ended. Subclasses call this once the template has been written to the response
+ */
+Renderer.prototype._end = function renderer_emitEnd() {
+	this.emit('end');
 };
 
 /**
- * Assigns a function to be called any time an error occurs in the renderer
- * 
- * @param  {Function} fn takes a single parameter, the error
+ * Adds a function to be called any time an error occurs in the renderer
+ * Shorthand for renderer.on('error', fn)
+ *
+ * @param  {Function} fn takes two parameters, the error and the template
  * @return {Renderer} this, used for chaining
  */
 Renderer.prototype.error = function renderer_error(fn) {
-	this._error = fn;
-	return this;
+	return this.on('error', fn);
 };
 
 /**
- * Assigns a function to be called when the rendering ends
- * 
+ * Adds a function to be called when the rendering ends
+ * Shorthand for renderer.on('end', fn)
+ *
  * @return {Renderer} this, used for chaining
  */
 Renderer.prototype.end = function renderer_end(fn) {
-	this._end = fn;
-	return this;
-};
\ No newline at end of file
+	return this.on('end', fn);
+};
@@ -0,0 +1,101 @@
+/*
+* slot_writer.js
+* Copyright(c) 2012 Aaron Hedges <aaron@dashron.com>
+* MIT Licensed
+*/
+"use strict";
+
+/**
+ * Splits rendered output into text sections and slots. Each slot is marked in the output by a token.
+ *
+ * split('<a>@@1@@</a>', {'@@1@@' : 'header'}) becomes
+ * [{text : '<a>'}, {key : 'header'}, {text : '</a>'}]
+ *
+ * @param  {String} output
+ * @param  {Object} slots  A "token => key" mapping
+ * @return {Array}
+ */
+var split = function slot_writer_split(output, slots) {
+	var tokens = Object.keys(slots);
+	var parts = [];
+
+	if (!tokens.length) {
+		return [{ text : output }];
+	}
+
+	output.split(new RegExp('(' + tokens.map(function (token) {
+		return token.replace(/[\-\[\]\/{}()*+?.\\\^$|]/g, '\\$&');
+	}).join('|') + ')')).forEach(function (section) {
+		if (slots.hasOwnProperty(section)) {
+			parts.push({ key : slots[section] });
+		} else if (section !== '') {
+			parts.push({ text : section });
+		}
+	});
+
+	return parts;
+};
+
+/**
+ * Writes rendered output to a response in order, holding back everything after the first slot that has not been filled.
+ *
+ * var writer = new SlotWriter(response, '<body>@@1@@<footer/></body>', {'@@1@@' : 'content'});
+ * writer.flush(); // writes "<body>"
+ * writer.fill('content', 'Hello');
+ * writer.flush(); // writes "Hello<footer/></body>", and returns true
+ *
+ * @param {Object} response The response that sections are written to. It is never ended by the writer
+ * @param {String} output   The rendered output, containing slot tokens
+ * @param {Object} slots    A "token => key" mapping
+ */
+var SlotWriter = module.exports = function SlotWriter(response, output, slots) {
+	this.response = response;
+	this._parts = split(String(output), slots);
+	this._filled = {};
+	this._index = 0;
+};
+
+SlotWriter.split = split;
+
+SlotWriter.prototype.response = null;
+SlotWriter.prototype._parts = null;
+SlotWriter.prototype._filled = null;
+SlotWriter.prototype._index = 0;
+
+/**
+ * Provides the output of a slot. Nothing is written until flush is called
+ *
+ * @param  {String} key
+ * @param  {String} output
+ * @return {SlotWriter} this, used for chaining
+ */
+SlotWriter.prototype.fill = function slot_writer_fill(key, output) {
+	this._filled[key] = output;
+	return this;
+};
+
+/**
+ * Writes every section that is ready, in order
+ *
+ * @return {Boolean} true if all of the output has been written
+ */
+SlotWriter.prototype.flush = function slot_writer_flush() {
+	var part = null;
+
+	while (this._index < this._parts.length) {
+		part = this._parts[this._index];
+
+		if (typeof part.key === "string") {
+			if (!this._filled.hasOwnProperty(part.key)) {
+				return false;
+			}
+			this.response.write(this._filled[part.key]);
+		} else {
+			this.response.write(part.text);
+		}
+
+		this._index++;
+	}
+
+	return true;
+};
@@ -0,0 +1,172 @@
+"use strict";
+
+var fs_module = require('fs');
+var path_module = require('path');
+
+/**
+ * Whether the file is inside the directory, or any of its sub directories
+ * 
+ * @param  {String}  dir
+ * @param  {String}  file_path
+ * @return {Boolean}
+ */
+var isInside = module.exports.isInside = function template_resolver_isInside(dir, file_path) {
+	var relative = path_module.relative(path_module.resolve(dir), path_module.resolve(dir, file_path));
+
+	return relative !== '..' && relative.indexOf('..' + path_module.sep) !== 0 && !path_module.isAbsolute(relative);
+};
+
+/**
+ * Whether the template already ends with one of the extensions
+ * 
+ * @param  {String}  template
+ * @param  {Array}   extensions
+ * @return {Boolean}
+ */
+var hasExtension = function template_resolver_hasExtension(template, extensions) {
+	return extensions.some(function (extension) {
+		return template.slice(-extension.length) === extension;
+	});
+};
+
+/**
+ * Lists the locales to try, most specific first. "fr-CA" tries "fr-CA" and then "fr"
+ * 
+ * @param  {String} locale
+ * @return {Array}
+ */
+var localeChain = module.exports.localeChain = function template_resolver_localeChain(locale) {
+	var parts = null;
+	var chain = [];
+	var i = 0;
+
+	if (typeof locale !== "string" || locale === '') {
+		return chain;
+	}
+
+	parts = locale.split('-');
+	for (i = parts.length; i > 0; i--) {
+		chain.push(parts.slice(0, i).join('-'));
+	}
+	return chain;
+};
+
+/**
+ * Adds the locale in front of the file's extension, "header.html" becomes "header.fr.html"
+ * 
+ * @param  {String} file_path
+ * @param  {String} locale
+ * @param  {Array}  extensions
+ * @return {String}
+ */
+var withLocale = function template_resolver_withLocale(file_path, locale, extensions) {
+	var extension = path_module.extname(file_path);
+
+	extensions.forEach(function (known) {
+		if (file_path.slice(-known.length) === known) {
+			extension = known;
+		}
+	});
+
+	return file_path.slice(0, file_path.length - extension.length) + '.' + locale + extension;
+};
+
+/**
+ * Lists every file the template could be, in the order they are searched.
+ * 
+ * Each directory is searched in turn. Within a directory the theme's copy (themes/<theme>/<template>) comes before the template,
+ * and each of those is tried with the locale (template.<locale>.ext) before without it.
+ * Every file is tried as it is, and then with each of the extensions unless it already ends with one.
+ * 
+ * @param  {Array}  dirs
+ * @param  {String} template
+ * @param  {Object} options optional
+ *         extensions: tried after each file that does not already end with one
+ *         theme: the name of a directory under themes/ in each dir
+ *         locale: such as "fr" or "fr-CA"
+ *         base: whether to include the template itself, or only its theme and locale variants. default: true
+ * @return {Array}
+ */
+var candidates = module.exports.candidates = function template_resolver_candidates(dirs, template, options) {
+	var extensions = (options && options.extensions) || [];
+	var locales = localeChain(options && options.locale);
+	var theme = options && typeof options.theme === "string" ? options.theme : null;
+	var base = !options || options.base !== false;
+	var files = [];
+
+	var add = function (dir, file_path) {
+		// Absolute templates are only found in the directory they belong to, and neither templates nor themes may climb out with ../
+		if (!isInside(dir, file_path)) {
+			return;
+		}
+
+		files.push(file_path);
+
+		if (!hasExtension(file_path, extensions)) {
+			extensions.forEach(function (extension) {
+				files.push(file_path + extension);
+			});
+		}
+	};
+
+	dirs.forEach(function (dir) {
+		var file_path = path_module.resolve(dir, template);
+		var bases = [];
+
+		if (!isInside(dir, file_path)) {
+			return;
+		}
+
+		if (theme !== null) {
+			bases.push(path_module.join(path_module.resolve(dir), 'themes', theme, path_module.relative(path_module.resolve(dir), file_path)));
+		}
+		bases.push(file_path);
+
+		bases.forEach(function (base_path) {
+			locales.forEach(function (locale) {
+				add(dir, withLocale(base_path, locale, extensions));
+			});
+
+			if (base || base_path !== file_path) {
+				add(dir, base_path);
+			}
+		});
+	});
+
+	return files;
+};
+
+/**
+ * Finds the first file that exists out of the template's candidates. Earlier directories override later ones,
+ * so a list such as [theme, app, package defaults] lets a theme replace any template.
+ * 
+ * @param  {Array}    dirs     The template directories, in the order they are searched
+ * @param  {String}   template
+ * @param  {Object}   options  optional, the extensions, theme and locale, see candidates
+ * @param  {Function} callback callback(error, file_path)
+ */
+module.exports.resolve = function template_resolver_resolve(dirs, template, options, callback) {
+	var files = candidates(dirs, template, options);
+	var index = 0;
+
+	if (files.length === 0) {
+		return callback(new Error('Template is outside of the template directories :' + template));
+	}
+
+	var next = function () {
+		if (index === files.length) {
+			return callback(new Error('Template not found :' + template + ', searched: ' + files.join(', ')));
+		}
+
+		fs_module.stat(files[index], function (error, stats) {
+			if (!error && stats.isFile()) {
+				return callback(null, files[index]);
+			}
+
+			index++;
+			next();
+		});
+	};
+
+	next();
+};
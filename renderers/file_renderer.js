@@ -25,6 +25,7 @@ FileRenderer.prototype.render = function (template) {
 	});
 
 	stream.on('end', function () {
+		_self._end();
 		_self.response.end();
 	});
 };
@@ -2,11 +2,15 @@
 
 var util_module = require('util');
 var fs_module = require('fs');
+var path_module = require('path');
 var handlebars = require('handlebars');
 var Renderer = require('../lib/renderer');
 
 /**
- * Renders a view as html via the Mu2 module
+ * Renders a view as html via the handlebars module
+ * 
+ * Templates are compiled in a handlebars environment of this renderer's own, see HandlebarsRenderer.registerHelper and HandlebarsRenderer.registerPartials.
+ * Every app that uses HandlebarsRenderer shares that environment and the compiled templates, see HandlebarsRenderer.create to give an app its own
  */
 var HandlebarsRenderer = module.exports = function HandlebarsRenderer () {
 	Renderer.call(this);
@@ -15,54 +19,325 @@ var HandlebarsRenderer = module.exports = function HandlebarsRenderer () {
 util_module.inherits(HandlebarsRenderer, Renderer);
 
 /**
- * Cache the compiled views in a "path => function" mapping
+ * The handlebars environment that helpers and partials are registered into, kept apart from the global handlebars module.
+ * It is shared by everything that uses this renderer class
  * 
  * @type {Object}
  */
-var compiled_views = {};
+HandlebarsRenderer.handlebars = handlebars.create();
 
 /**
- * Requests the provided template to be rendered
+ * Cache the compiled views in a "file path => {fn, mtime}" mapping
  * 
- * @param  {string} template
+ * @type {Object}
  */
-HandlebarsRenderer.prototype.render = function (template) {
-	var _self = this;
+HandlebarsRenderer._compiled_views = {};
+
+/**
+ * Creates a renderer class with a handlebars environment and compiled template cache of its own, so helpers, partials
+ * and templates registered by one app do not leak into another. The extension and reload settings start out as this class's.
+ * 
+ * var AppRenderer = HandlebarsRenderer.create();
+ * AppRenderer.registerHelper('upper', function (value) { return value.toUpperCase(); });
+ * environment.addRenderer('text/html', AppRenderer);
+ * 
+ * @return {Function} A subclass of this renderer
+ */
+HandlebarsRenderer.create = function handlebars_renderer_create() {
+	var Parent = this;
+	var key = null;
+	var IsolatedHandlebarsRenderer = function IsolatedHandlebarsRenderer () {
+		Parent.call(this);
+	};
+
+	// util.inherits only links the prototypes, the settings and static methods are copied
+	for (key in Parent) {
+		if (Parent.hasOwnProperty(key)) {
+			IsolatedHandlebarsRenderer[key] = Parent[key];
+		}
+	}
+
+	util_module.inherits(IsolatedHandlebarsRenderer, Parent);
+
+	IsolatedHandlebarsRenderer.handlebars = handlebars.create();
+	IsolatedHandlebarsRenderer._compiled_views = {};
+
+	return IsolatedHandlebarsRenderer;
+};
+
+/**
+ * The file extension appended to templates that do not already end with it
+ * 
+ * @type {String}
+ */
+HandlebarsRenderer.extension = '.html';
+
+/**
+ * When true, every render checks the template's modification time and recompiles it if the file has changed.
+ * Use this during development so template changes show up without restarting the server.
+ * 
+ * @type {Boolean}
+ */
+HandlebarsRenderer.reload = false;
+
+/**
+ * Whether the file path ends with the configured extension
+ * 
+ * @param  {Function} renderer_class The renderer class whose settings are used
+ * @param  {String}   file_path
+ * @return {Boolean}
+ */
+var hasExtension = function handlebars_renderer_hasExtension(renderer_class, file_path) {
+	var extension = renderer_class.extension;
+	return extension === '' || file_path.slice(-extension.length) === extension;
+};
+
+/**
+ * Turns a template path into the path of its file
+ * 
+ * @param  {Function} renderer_class The renderer class whose settings are used
+ * @param  {String}   template       The template path, with or without the extension
+ * @return {String}
+ */
+var resolve = function handlebars_renderer_resolve(renderer_class, template) {
+	template = path_module.normalize(template);
+	return hasExtension(renderer_class, template) ? template : template + renderer_class.extension;
+};
+
+/**
+ * Calls each(file_path, callback) for every template in a directory, and all of its sub directories
+ * 
+ * @param  {Function} renderer_class The renderer class whose settings are used
+ * @param  {String}   dir
+ * @param  {Function} each           each(file_path, callback), callback(error)
+ * @param  {Function} callback       callback(error)
+ */
+var walk = function handlebars_renderer_walk(renderer_class, dir, each, callback) {
+	var pending = 1;
+	var failed = false;
+
+	var done = function (err) {
+		if (failed) {
+			return;
+		}
+
+		if (err) {
+			failed = true;
+			return callback(err);
+		}
 
-	if (typeof compiled_views[template] === "undefined" || compiled_views[template] === null) {
-		var stream = fs_module.createReadStream(template + '.html');
+		pending--;
+		if (pending === 0) {
+			callback(null);
+		}
+	};
 
-		var buffer = '';
-		stream.on('readable', function () {
-			buffer += stream.read();
+	var read = function (current) {
+		fs_module.readdir(current, function (err, files) {
+			if (err) {
+				return done(err);
+			}
+
+			files.forEach(function (file) {
+				var file_path = path_module.join(current, file);
+				pending++;
+
+				fs_module.stat(file_path, function (err, stats) {
+					if (err) {
+						return done(err);
+					}
+
+					if (stats.isDirectory()) {
+						read(file_path);
+					} else if (hasExtension(renderer_class, file_path)) {
+						each(file_path, done);
+					} else {
+						done(null);
+					}
+				});
+			});
+
+			done(null);
 		});
+	};
 
-		stream.on('end', function () {
-			compiled_views[template] = handlebars.compile(buffer);
-			_self.executeTemplate(template);
+	read(path_module.normalize(dir));
+};
+
+/**
+ * Reads and compiles a template into the cache
+ * 
+ * @param  {Function} renderer_class The renderer class whose environment and cache are used
+ * @param  {String}   file_path      The template path, including the extension
+ * @param  {Function} callback       callback(error)
+ */
+var compile = function handlebars_renderer_compile(renderer_class, file_path, callback) {
+	fs_module.stat(file_path, function (err, stats) {
+		if (err) {
+			return callback(err);
+		}
+
+		// Unchanged since it was last compiled
+		if (renderer_class._compiled_views[file_path] && renderer_class._compiled_views[file_path].mtime === stats.mtime.getTime()) {
+			return callback(null);
+		}
+
+		fs_module.readFile(file_path, 'utf8', function (err, source) {
+			if (err) {
+				return callback(err);
+			}
+
+			try {
+				renderer_class._compiled_views[file_path] = {
+					fn : renderer_class.handlebars.compile(source),
+					mtime : stats.mtime.getTime()
+				};
+			} catch (error) {
+				return callback(error);
+			}
+			callback(null);
 		});
+	});
+};
 
-		stream.on('error', function (err) {
-			_self._error(err, template);
+/**
+ * Removes compiled templates from the cache, so they are read from disk on their next render
+ * 
+ * @param  {String} template optional, the template path. If not provided the whole cache is cleared
+ */
+HandlebarsRenderer.clearCache = function handlebars_renderer_clearCache(template) {
+	if (typeof template === "string") {
+		delete this._compiled_views[resolve(this, template)];
+	} else {
+		this._compiled_views = {};
+	}
+};
+
+/**
+ * Compiles every template in a directory, and all of its sub directories, so the first request for each is not slow
+ * 
+ * @param  {String}   dir
+ * @param  {Function} callback callback(error)
+ * @throws {Error} If there is no callback, as errors (such as a missing directory) have nowhere else to go
+ */
+HandlebarsRenderer.precompile = function handlebars_renderer_precompile(dir, callback) {
+	var _self = this;
+
+	if (typeof callback !== "function") {
+		throw new Error('HandlebarsRenderer.precompile requires a callback');
+	}
+
+	walk(this, dir, function (file_path, done) {
+		compile(_self, file_path, done);
+	}, callback);
+};
+
+/**
+ * Registers a helper, which every template can use
+ * 
+ * HandlebarsRenderer.registerHelper('upper', function (value) { return value.toUpperCase(); });
+ * 
+ * @param  {String}   name
+ * @param  {Function} fn
+ * @return {Function} this renderer class, used for chaining
+ */
+HandlebarsRenderer.registerHelper = function handlebars_renderer_registerHelper(name, fn) {
+	this.handlebars.registerHelper(name, fn);
+	return this;
+};
+
+/**
+ * Registers a partial, which every template can include with {{> name}}
+ * 
+ * Partials are rendered synchronously as part of their template. Use child views for anything that needs to load data.
+ * 
+ * @param  {String} name
+ * @param  {String} source The uncompiled template
+ * @return {Function} this renderer class, used for chaining
+ */
+HandlebarsRenderer.registerPartial = function handlebars_renderer_registerPartial(name, source) {
+	this.handlebars.registerPartial(name, source);
+	return this;
+};
+
+/**
+ * Registers every template in a directory, and all of its sub directories, as a partial.
+ * Each partial is named by its path relative to the directory, without the extension.
+ * 
+ * partials/user/badge.html becomes {{> user/badge}}
+ * 
+ * @param  {String}   dir
+ * @param  {Function} callback callback(error)
+ * @throws {Error} If there is no callback, as errors (such as a missing directory) have nowhere else to go
+ */
+HandlebarsRenderer.registerPartials = function handlebars_renderer_registerPartials(dir, callback) {
+	var _self = this;
+	var extension = this.extension;
+
+	if (typeof callback !== "function") {
+		throw new Error('HandlebarsRenderer.registerPartials requires a callback');
+	}
+
+	dir = path_module.normalize(dir);
+
+	walk(this, dir, function (file_path, done) {
+		fs_module.readFile(file_path, 'utf8', function (err, source) {
+			var name = path_module.relative(dir, file_path);
+
+			if (err) {
+				return done(err);
+			}
+
+			if (extension !== '') {
+				name = name.slice(0, -extension.length);
+			}
+
+			_self.registerPartial(name.split(path_module.sep).join('/'), source);
+			done(null);
+		});
+	}, callback);
+};
+
+/**
+ * Requests the provided template to be rendered
+ * 
+ * @param  {string} template
+ */
+HandlebarsRenderer.prototype.render = function (template) {
+	var _self = this;
+	var renderer_class = this.constructor;
+	var file_path = resolve(renderer_class, template);
+
+	if (typeof renderer_class._compiled_views[file_path] === "undefined" || renderer_class.reload) {
+		compile(renderer_class, file_path, function (err) {
+			if (err) {
+				_self._error(err, template);
+			} else {
+				_self.executeTemplate(file_path);
+			}
 		});
 	} else {
 		process.nextTick(function () {
-			_self.executeTemplate(template);
+			_self.executeTemplate(file_path);
 		});
 	}
 };
 
 /**
+ * Writes the compiled template to the response
  * 
- * @param  {[type]} template [description]
- * @return {[type]}          [description]
+ * @param  {String} template The template path, including the extension
  */
 HandlebarsRenderer.prototype.executeTemplate = function (template) {
+	var output = null;
+
 	try {
-		this.response.write(compiled_views[template](this.data));
+		output = this.constructor._compiled_views[template].fn(this.data);
 	} catch (error) {
-		this._error(error, template);
+		return this._error(error, template);
 	}
+
+	this.response.write(output);
 	this._end();
 	this.response.end();
 };
@@ -6,12 +6,23 @@
 * MIT Licensed
  */
 
-var http_module = require('http');
 var util_module = require('util');
-var Renderer = require('bifocals').Renderer;
+var path_module = require('path');
+var url_module = require('url');
+var Renderer = require('../lib/renderer');
 
 /**
- * Renders a view as html via the Mu2 module
+ * Renders a view as json
+ * 
+ * Each template is a javascript module that serializes the view's data. It exports either a function, or an object with a toJSON method:
+ * 
+ * module.exports = function (data) {
+ *     return { id : data.post.id, title : data.post.title, author : data.author };
+ * };
+ * 
+ * Child views are not serialized to a string. They write their value to the parent, so each child becomes a nested property
+ * and children created with a "key[index]" key become lists (see Bifocals.child).
+ * The root view writes the json, or jsonp if the request has a callback parameter.
  */
 var JsonRenderer = module.exports = function JsonRenderer () {
 	Renderer.call(this);
@@ -20,37 +31,100 @@ var JsonRenderer = module.exports = function JsonRenderer () {
 util_module.inherits(JsonRenderer, Renderer);
 
 /**
- * Requests the provided json to be output
+ * Whether the root view's json is indented. By default it is, unless NODE_ENV is "production"
  * 
- * @param  {string} template
+ * @type {Boolean}
  */
-JsonRenderer.prototype.render = function (template) {
-	var _self = this;
+JsonRenderer.pretty = process.env.NODE_ENV !== 'production';
 
-	if (this.response instanceof http_module.ServerResponse) {
-		this.response.setHeader('Content-Type', 'application/json');
-		this.response.status_code = 200;
+/**
+ * The query string parameter that turns the response into jsonp. Set it to null to disable jsonp
+ * 
+ * @type {String}
+ */
+JsonRenderer.jsonp_parameter = 'callback';
+
+/**
+ * The extension of serializer modules, used when views search their dirs for a template (see Bifocals.dirs)
+ * 
+ * @type {String}
+ */
+JsonRenderer.extension = '.js';
+
+/**
+ * Finds the jsonp callback name in the request, if it has a valid one
+ * 
+ * @param  {Object} request
+ * @return {String|null}
+ */
+var jsonpCallback = function json_renderer_jsonpCallback(request) {
+	var callback = null;
+
+	if (typeof JsonRenderer.jsonp_parameter !== "string" || !request || typeof request.url !== "string") {
+		return null;
+	}
+
+	callback = url_module.parse(request.url, true).query[JsonRenderer.jsonp_parameter];
+
+	// Only allow identifiers, anything else could inject script into the response
+	if (typeof callback === "string" && /^[\w$.\[\]]+$/.test(callback)) {
+		return callback;
 	}
+	return null;
+};
+
+/**
+ * Requests the provided template to be serialized
+ * 
+ * @param  {string} template The path to the serializer module, with or without the .js extension
+ */
+JsonRenderer.prototype.render = function (template) {
+	var value = null;
+	var json = null;
+	var callback = null;
 
 	try {
-		var fn = this.template(template + '.js');
-		var object = fn(this.data);
-		if (this.response instanceof http_module.ServerResponse) {
-			object = JSON.stringify(object);
-		}
-		
-		this.response.write(object);
+		value = this.template(template);
+		value = typeof value === "function" ? value(this.data) : value.toJSON(this.data);
 	} catch (error) {
-		this._error(error, template);
+		return this._error(error, template);
 	}
+
+	// Child views write to their parent, which holds on to the value instead of a string
+	if (typeof this.response.setHeader !== "function") {
+		this.response.write(value);
+		this._end();
+		this.response.end();
+		return;
+	}
+
+	json = JSON.stringify(value, null, JsonRenderer.pretty ? '\t' : null);
+	if (typeof json === "undefined") {
+		json = 'null';
+	}
+	callback = jsonpCallback(this.request);
+
+	if (callback !== null) {
+		this.response.setHeader('Content-Type', 'text/javascript');
+		this.response.setHeader('X-Content-Type-Options', 'nosniff');
+		// Line and paragraph separators are valid in json, but not in javascript strings
+		json = json.replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+		this.response.write('/**/ typeof ' + callback + ' === \'function\' && ' + callback + '(' + json + ');');
+	} else {
+		this.response.setHeader('Content-Type', 'application/json');
+		this.response.write(json);
+	}
+
 	this._end();
 	this.response.end();
 };
 
+/**
+ * Loads the serializer module for a template
+ * 
+ * @param  {String} template
+ * @return {Function|Object}
+ */
 JsonRenderer.prototype.template = function (template) {
-	if (template[0] !== '/') {
-		template = this.dir + template;
-	}
-				
-	return require(template + '.js');
+	return require(path_module.resolve(template));
 };
@@ -0,0 +1,245 @@
+"use strict";
+var vows = require('vows');
+var assert = require('assert');
+var util_module = require('util');
+var stream_module = require('stream');
+var fs_module = require('fs');
+var os_module = require('os');
+var path_module = require('path');
+
+var bifocals_module = require('../index');
+var adapters = bifocals_module.adapters;
+var Renderer = bifocals_module.Renderer;
+
+var CONTENT_TYPE = 'text/x-adapter';
+
+/**
+ * Renders a page with a header child through the renderer, in an environment of its own
+ */
+var render = function (renderer, template, callback) {
+	var environment = bifocals_module.createInstance({ dir : 'templates/' });
+	environment.addRenderer(CONTENT_TYPE, renderer);
+
+	environment.renderToString(template, { title : 'Home' }, function (view) {
+		view.content_type = CONTENT_TYPE;
+		view.child('header').render('header');
+	}).then(function (output) {
+		callback(null, output);
+	}, function (error) {
+		callback(null, error);
+	});
+};
+
+/**
+ * The output every renderer below provides
+ */
+var output = function (template, data) {
+	return template + '{' + Object.keys(data).map(function (key) {
+		return key + '=' + data[key];
+	}).join(',') + '}';
+};
+
+var BaseRenderer = function () {
+	Renderer.call(this);
+};
+util_module.inherits(BaseRenderer, Renderer);
+
+BaseRenderer.prototype.render = function (template) {
+	this.response.write(output(template, this.data));
+	this._end();
+	this.response.end();
+};
+
+var DeepRenderer = function () {
+	BaseRenderer.call(this);
+};
+util_module.inherits(DeepRenderer, BaseRenderer);
+
+var EXPECTED = 'templates/page{title=Home,header=templates/header{}}';
+
+var dir = fs_module.mkdtempSync(path_module.join(os_module.tmpdir(), 'bifocals-'));
+fs_module.writeFileSync(path_module.join(dir, 'page.ejs'), '');
+
+/**
+ * Renders "page" through the renderer, searching the directory above for the template
+ */
+var renderFromDirs = function (renderer, callback) {
+	var environment = bifocals_module.createInstance();
+	environment.addRenderer(CONTENT_TYPE, renderer);
+
+	environment.renderToString('page', {}, function (view) {
+		view.content_type = CONTENT_TYPE;
+		view.dirs = [dir];
+	}).then(function (output) {
+		callback(null, output);
+	}, function (error) {
+		callback(null, error);
+	});
+};
+
+vows.describe('Adapters').addBatch({
+	'A Renderer subclass of a Renderer subclass' : {
+		topic : function () {
+			render(DeepRenderer, 'page', this.callback);
+		},
+		'is used as a class' : function (err, result) {
+			assert.equal(result, EXPECTED);
+			assert.isTrue(adapters.isRendererClass(DeepRenderer));
+			assert.strictEqual(adapters.toRenderer(DeepRenderer), DeepRenderer);
+		}
+	},
+	'A callback renderer' : {
+		topic : function () {
+			render(function (template, data, callback) {
+				callback(null, output(template, data));
+			}, 'page', this.callback);
+		},
+		'is adapted' : function (err, result) {
+			assert.equal(result, EXPECTED);
+		}
+	},
+	'A renderer that returns a promise' : {
+		topic : function () {
+			render(function (template, data) {
+				return Promise.resolve(output(template, data));
+			}, 'page', this.callback);
+		},
+		'is adapted' : function (err, result) {
+			assert.equal(result, EXPECTED);
+		}
+	},
+	'A renderer that returns a stream' : {
+		topic : function () {
+			render(adapters.stream(function (template, data) {
+				var stream = new stream_module.PassThrough();
+				stream.write(template);
+				stream.end(JSON.stringify(data));
+				return stream;
+			}), 'page', this.callback);
+		},
+		'writes each chunk' : function (err, result) {
+			assert.equal(result, 'templates/page{"title":"Home","header":"templates/header{}"}');
+		}
+	},
+	'An absolute template inside the dir' : {
+		topic : function () {
+			render(adapters.callback(function (template, data, callback) {
+				callback(null, output(template, data));
+			}), path_module.resolve('templates/page'), this.callback);
+		},
+		'is found relative to the dir' : function (err, result) {
+			assert.equal(result, EXPECTED);
+		}
+	},
+	'An absolute template outside of the dir' : {
+		topic : function () {
+			render(adapters.callback(function (template, data, callback) {
+				callback(null, output(template, data));
+			}), '/srv/page', this.callback);
+		},
+		'is rejected, as it would be with dirs' : function (err, result) {
+			assert.instanceOf(result, Error);
+			assert.equal(result.message, 'Template is outside of the template directories :/srv/page');
+		}
+	},
+	'A renderer that throws' : {
+		topic : function () {
+			render(function () {
+				throw new Error('Broken renderer');
+			}, 'page', this.callback);
+		},
+		'fails the view' : function (err, result) {
+			assert.equal(result.message, 'Broken renderer');
+		}
+	},
+	'A renderer that rejects' : {
+		topic : function () {
+			render(adapters.promise(function () {
+				return Promise.reject(new Error('Rejected renderer'));
+			}), 'page', this.callback);
+		},
+		'fails the view' : function (err, result) {
+			assert.equal(result.message, 'Rejected renderer');
+		}
+	},
+	'Rendering to a response' : {
+		topic : function () {
+			var callback = this.callback;
+			var environment = bifocals_module.createInstance();
+			var response = {
+				headers : {},
+				setHeader : function (name, value) {
+					this.headers[name] = value;
+				},
+				getHeader : function (name) {
+					return this.headers[name];
+				},
+				write : function () {},
+				end : function () {
+					callback(null, response.headers);
+				}
+			};
+
+			environment.addRenderer(CONTENT_TYPE, BaseRenderer);
+
+			var view = environment.createView(response);
+			view.content_type = CONTENT_TYPE;
+			view.render('page');
+		},
+		'sets the content type for Renderer classes too' : function (headers) {
+			assert.equal(headers['Content-Type'], CONTENT_TYPE);
+		}
+	},
+	'A function with an extension' : {
+		topic : function () {
+			var fn = function (template, data, callback) {
+				callback(null, path_module.basename(template));
+			};
+			fn.extension = '.ejs';
+			renderFromDirs(fn, this.callback);
+		},
+		'finds templates with that extension' : function (err, result) {
+			assert.equal(result, 'page.ejs');
+		}
+	},
+	'An adapter given an extension' : {
+		topic : function () {
+			renderFromDirs(adapters.callback(function (template, data, callback) {
+				callback(null, path_module.basename(template));
+			}, { extensions : ['.ejs'] }), this.callback);
+		},
+		'finds templates with that extension' : function (err, result) {
+			assert.equal(result, 'page.ejs');
+		}
+	},
+	'A content type set before rendering' : {
+		topic : function () {
+			var callback = this.callback;
+			var environment = bifocals_module.createInstance();
+			var response = {
+				headers : { 'Content-Type' : CONTENT_TYPE + '; charset=utf-8' },
+				setHeader : function (name, value) {
+					this.headers[name] = value;
+				},
+				getHeader : function (name) {
+					return this.headers[name];
+				},
+				write : function () {},
+				end : function () {
+					callback(null, response.headers);
+				}
+			};
+
+			environment.addRenderer(CONTENT_TYPE, function (template, data, done) {
+				done(null, template);
+			});
+
+			var view = environment.createView(response);
+			view.content_type = CONTENT_TYPE;
+			view.render('page');
+		},
+		'is kept' : function (headers) {
+			assert.equal(headers['Content-Type'], CONTENT_TYPE + '; charset=utf-8');
+		}
+	}
+}).export(module);
@@ -0,0 +1,87 @@
+"use strict";
+var vows = require('vows');
+var assert = require('assert');
+var fs_module = require('fs');
+var os_module = require('os');
+var path_module = require('path');
+var child_process_module = require('child_process');
+
+var bifocals_module = require('../index');
+var build_module = require('../lib/build');
+
+var out_dir = fs_module.mkdtempSync(path_module.join(os_module.tmpdir(), 'bifocals-'));
+
+bifocals_module.addRenderer('text/plain', function (template, data, callback) {
+	if (template === 'missing') {
+		return callback(new Error('Template not found'));
+	}
+	callback(null, template + ':' + JSON.stringify(data));
+});
+
+vows.describe('Build').addBatch({
+	'Finding the output path of a route' : {
+		'uses index for directories' : function () {
+			assert.equal(build_module.outputPath('/', 'text/html'), 'index.html');
+			assert.equal(build_module.outputPath('/blog/', 'text/html'), path_module.join('blog', 'index.html'));
+		},
+		'adds the extension of the content type' : function () {
+			assert.equal(build_module.outputPath('/blog/post-1', 'text/html'), path_module.join('blog', 'post-1.html'));
+			assert.equal(build_module.outputPath('/feed', 'application/rss+xml'), 'feed.xml');
+			assert.equal(build_module.outputPath('/about', 'text/plain; charset=utf-8'), 'about.txt');
+		},
+		'keeps an existing extension' : function () {
+			assert.equal(build_module.outputPath('/feed.json', 'text/html'), 'feed.json');
+		},
+		'rejects routes outside of the output directory' : function () {
+			assert.isNull(build_module.outputPath('/../secrets', 'text/html'));
+		}
+	},
+	'Building a manifest' : {
+		topic : function () {
+			build_module.build({
+				'/' : function (view) {
+					view.content_type = 'text/plain';
+					view.child('header').set('title', 'Home').render('header');
+					view.render('index');
+				},
+				'/broken' : function (view) {
+					view.content_type = 'text/plain';
+					view.child('header').render('missing');
+					view.render('index');
+				},
+				'/missing' : function (view) {
+					view.statusNotFound();
+				}
+			}, out_dir, this.callback);
+		},
+		'writes each view' : function (err, results) {
+			assert.isNull(err);
+			assert.equal(results[0].file, path_module.join(out_dir, 'index.txt'));
+			assert.equal(fs_module.readFileSync(results[0].file, 'utf8'), 'index:{"header":"header:{\\"title\\":\\"Home\\"}"}');
+		},
+		'reports failed views' : function (err, results) {
+			assert.equal(results[1].error.message, 'Template not found');
+			assert.isFalse(fs_module.existsSync(path_module.join(out_dir, 'broken.txt')));
+		},
+		'reports error status codes' : function (err, results) {
+			assert.equal(results[2].error.message, 'Responded with status code 404');
+		}
+	},
+	'Loading lib/build before the index' : {
+		topic : function () {
+			// A process of its own, as every module is already loaded in this one
+			child_process_module.execFile(process.execPath, ['-e', [
+				"require('./lib/build');",
+				"var bifocals_module = require('./index');",
+				"bifocals_module.createInstance().createView({ write : function () {}, end : function () {} });",
+				"bifocals_module.getInstance().renderToString(null, {}, function (view) {",
+				"	view.statusRedirect('/');",
+				"}).then(function () { process.stdout.write('ok'); });"
+			].join('\n')], { cwd : path_module.join(__dirname, '..'), timeout : 10000 }, this.callback);
+		},
+		'still creates and renders views' : function (err, stdout, stderr) {
+			assert.isNull(err);
+			assert.equal(stdout, 'ok');
+		}
+	}
+}).export(module);
@@ -0,0 +1,36 @@
+"use strict";
+var vows = require('vows');
+var assert = require('assert');
+
+var conditional_get_module = require('../lib/conditional_get');
+
+vows.describe('Conditional GET').addBatch({
+	'Checking freshness' : {
+		topic : new Date('2013-01-01T00:00:00Z'),
+		'matches If-None-Match weakly' : function (last_modified) {
+			assert.isTrue(conditional_get_module.isFresh({ method : 'GET', headers : { 'if-none-match' : 'W/"a", "b"' } }, '"a"'));
+		},
+		'does not match other entity tags' : function (last_modified) {
+			assert.isFalse(conditional_get_module.isFresh({ method : 'GET', headers : { 'if-none-match' : '"b"' } }, '"a"'));
+		},
+		'prefers If-None-Match over If-Modified-Since' : function (last_modified) {
+			assert.isFalse(conditional_get_module.isFresh({ method : 'GET', headers : {
+				'if-none-match' : '"b"',
+				'if-modified-since' : last_modified.toUTCString()
+			} }, '"a"', last_modified));
+		},
+		'matches If-Modified-Since' : function (last_modified) {
+			assert.isTrue(conditional_get_module.isFresh({ method : 'GET', headers : { 'if-modified-since' : last_modified.toUTCString() } }, null, last_modified));
+			assert.isFalse(conditional_get_module.isFresh({ method : 'GET', headers : { 'if-modified-since' : new Date(last_modified.getTime() - 1000).toUTCString() } }, null, last_modified));
+		},
+		'is never fresh for other methods' : function (last_modified) {
+			assert.isFalse(conditional_get_module.isFresh({ method : 'POST', headers : { 'if-none-match' : '*' } }, '"a"'));
+		}
+	},
+	'Building a Cache-Control header' : {
+		topic : conditional_get_module.cacheControl({ public : true, max_age : 60, no_store : false }),
+		'joins each directive' : function (header) {
+			assert.equal(header, 'public, max-age=60');
+		}
+	}
+}).export(module);
@@ -0,0 +1,136 @@
+"use strict";
+var vows = require('vows');
+var assert = require('assert');
+var util_module = require('util');
+
+var bifocals_module = require('../index');
+var Renderer = bifocals_module.Renderer;
+
+/**
+ * Writes the name of its environment, the template and the data
+ */
+var namedRenderer = function (name) {
+	var Constructor = function () {
+		Renderer.call(this);
+	};
+	util_module.inherits(Constructor, Renderer);
+
+	Constructor.prototype.render = function (template) {
+		var _self = this;
+
+		this.response.write(name + ':' + template + '{' + Object.keys(this.data).map(function (key) {
+			return _self.data[key];
+		}).join(',') + '}');
+		this._end();
+		this.response.end();
+	};
+
+	return Constructor;
+};
+
+var first = bifocals_module.createInstance({ dir : 'first/' });
+var second = new bifocals_module.Environment();
+
+first.addRenderer('text/x-environment', namedRenderer('first'));
+second.addRenderer('text/x-environment', namedRenderer('second'));
+
+vows.describe('Environment').addBatch({
+	'Views from two environments' : {
+		topic : function () {
+			var callback = this.callback;
+			var created = [];
+
+			first.on('view', function (view) {
+				created.push(view.key);
+			});
+
+			Promise.all([
+				first.renderToString('page', {}, function (view) {
+					view.content_type = 'text/x-environment';
+					view.child('header').render('header');
+				}),
+				second.renderToString('page', {}, function (view) {
+					view.content_type = 'text/x-environment';
+					view.child('header').render('header');
+				})
+			]).then(function (outputs) {
+				callback(null, { outputs : outputs, created : created });
+			}, callback);
+		},
+		'use their own renderers' : function (topic) {
+			assert.equal(topic.outputs[0], 'first:first/page{first:first/header{}}');
+			assert.equal(topic.outputs[1], 'second:page{second:header{}}');
+		},
+		'report each view they create' : function (topic) {
+			assert.deepEqual(topic.created, [null, 'header']);
+		}
+	},
+	'Views with a locale' : {
+		topic : function () {
+			var callback = this.callback;
+			var translated = bifocals_module.createInstance();
+			var child = null;
+
+			translated.setMessageCatalog({
+				fr : {
+					'Hello {user}' : 'Bonjour {user}',
+					'{count} comments' : '{count} commentaires'
+				}
+			});
+			translated.addRenderer('text/x-environment', function (template, data, done) {
+				done(null, template + ':' + data.t('Hello {user}') + ',' + data.t('{count} comments', { hash : { count : 2 } }) + ',' + data.t('Goodbye'));
+			});
+
+			translated.renderToString('page', { user : 'Ann' }, function (view) {
+				view.content_type = 'text/x-environment';
+				view.locale = 'fr-CA';
+				view.theme = 'acme';
+				child = view.child('header');
+				child.render('header');
+			}).then(function (output) {
+				callback(null, { output : output, child : child });
+			}, callback);
+		},
+		'translate through the t helper' : function (topic) {
+			assert.equal(topic.output, 'page:Bonjour Ann,2 commentaires,Goodbye');
+		},
+		'pass the locale and theme to their children' : function (topic) {
+			assert.equal(topic.child.locale, 'fr-CA');
+			assert.equal(topic.child.theme, 'acme');
+		}
+	},
+	'Registering a function' : {
+		topic : function () {
+			var environment = bifocals_module.createInstance();
+			environment.addRenderer('text/x-environment', function (template, data, done) {
+				done(null, template);
+			});
+			environment.addRenderer('text/x-alias', 'plain');
+			environment.addEngine('plain', function (template, data, done) {
+				done(null, template);
+			});
+			return environment;
+		},
+		'adapts it once, when it is registered' : function (environment) {
+			var renderer = environment.getRenderer('text/x-environment');
+			assert.isTrue(bifocals_module.adapters.isRendererClass(renderer));
+			assert.strictEqual(environment.getRenderer('text/x-environment'), renderer);
+			assert.isTrue(bifocals_module.adapters.isRendererClass(environment.getEngine('plain')));
+			assert.strictEqual(environment.getRenderer('text/x-alias'), environment.getEngine('plain'));
+		},
+		'rejects anything else' : function (environment) {
+			assert.throws(function () {
+				environment.addRenderer('text/x-broken', {});
+			}, /Renderers must be functions/);
+		}
+	},
+	'The default environment' : {
+		topic : bifocals_module.getInstance(),
+		'is used by the module functions' : function (environment) {
+			assert.throws(function () {
+				environment.getRenderer('text/x-environment');
+			}, /Unsupported content type/);
+			assert.strictEqual(new bifocals_module.Bifocals({ write : function () {}, end : function () {} })._environment(), environment);
+		}
+	}
+}).export(module);
@@ -0,0 +1,151 @@
+"use strict";
+var vows = require('vows');
+var assert = require('assert');
+var http_module = require('http');
+var path_module = require('path');
+var express = require('express');
+
+var bifocals_module = require('../index');
+
+var CONTENT_TYPE = 'text/x-express-test';
+
+bifocals_module.addRenderer(CONTENT_TYPE, function (template, data, callback) {
+	if (path_module.basename(template) === 'broken.html') {
+		return callback(new Error('Broken template'));
+	}
+	callback(null, path_module.basename(template) + ' ' + [data.site, data.user, data.title, data.header].join(','));
+});
+
+var app = express();
+app.set('views', '/templates');
+app.set('view engine', 'html');
+app.locals.site = 'app';
+app.use(bifocals_module.__express());
+app.use(function (req, res, next) {
+	res.locals.user = 'res';
+	next();
+});
+
+app.get('/', function (req, res) {
+	res.child('header', 'header').render();
+	res.render('index', { title : 'options' });
+});
+
+app.get('/override', function (req, res) {
+	res.render('index', { site : 'options' });
+});
+
+app.get('/callback', function (req, res) {
+	res.bifocals.set('title', 'root');
+	res.render('index', function (err, html) {
+		res.send('<' + html + '>');
+	});
+});
+
+app.get('/layout', function (req, res) {
+	res.bifocals.layout('express-layout');
+	res.render('index', function (err, html) {
+		res.send('<' + html + '>');
+	});
+});
+
+app.get('/broken', function (req, res) {
+	res.render('broken');
+});
+
+app.get('/api', function (req, res) {
+	res.json({ content_type : res.content_type });
+});
+
+app.use(function (err, req, res, next) {
+	res.status(500).send('handled ' + err.message);
+});
+
+/**
+ * Requests a path from the app
+ */
+var request = function (path, callback, accept) {
+	var server = http_module.createServer(app).listen(0, function () {
+		http_module.get({
+			port : server.address().port,
+			path : path,
+			headers : { accept : accept || CONTENT_TYPE }
+		}, function (response) {
+			var body = '';
+
+			response.setEncoding('utf8');
+			response.on('data', function (chunk) {
+				body += chunk;
+			});
+			response.on('end', function () {
+				server.close();
+				callback(null, { status : response.statusCode, headers : response.headers, body : body });
+			});
+		}).on('error', callback);
+	});
+};
+
+vows.describe('Express Extensions').addBatch({
+	'Rendering through express' : {
+		topic : function () {
+			request('/', this.callback);
+		},
+		'merges app.locals, res.locals and the options' : function (response) {
+			assert.equal(response.body, 'index.html app,res,options,header.html ,,,');
+		},
+		'sets the content type' : function (response) {
+			assert.equal(response.headers['content-type'], CONTENT_TYPE);
+		}
+	},
+	'Rendering through express with options that override locals' : {
+		topic : function () {
+			request('/override', this.callback);
+		},
+		'prefers the options' : function (response) {
+			assert.equal(response.body, 'index.html options,res,,');
+		}
+	},
+	'Rendering through express with a callback' : {
+		topic : function () {
+			request('/callback', this.callback);
+		},
+		'provides the output to the callback' : function (response) {
+			assert.equal(response.body, '<index.html app,res,root,>');
+		}
+	},
+	'Rendering a view with a layout through express with a callback' : {
+		topic : function () {
+			request('/layout', this.callback);
+		},
+		'provides the output of the layout to the callback' : function (response) {
+			assert.equal(response.body, '<express-layout app,res,,>');
+		}
+	},
+	'Rendering a broken template through express' : {
+		topic : function () {
+			request('/broken', this.callback);
+		},
+		'passes the error to the error handler' : function (response) {
+			assert.equal(response.status, 500);
+			assert.equal(response.body, 'handled Broken template');
+		}
+	},
+	'A route that does not render, without an acceptable content type' : {
+		topic : function () {
+			request('/api', this.callback, 'image/png');
+		},
+		'is not rejected' : function (response) {
+			assert.equal(response.status, 200);
+			assert.deepEqual(JSON.parse(response.body), { content_type : null });
+		}
+	},
+	'Rendering without an acceptable content type' : {
+		topic : function () {
+			request('/', this.callback, 'image/png');
+		},
+		'responds with 406' : function (response) {
+			assert.equal(response.status, 406);
+			assert.include(response.body.split('\n'), CONTENT_TYPE);
+		}
+	}
+}).export(module);
@@ -0,0 +1,168 @@
+"use strict";
+var vows = require('vows');
+var assert = require('assert');
+
+var bifocals_module = require('../index');
+var MemoryStore = require('../lib/fragment_cache').MemoryStore;
+
+/**
+ * A store that follows the documented interface to the letter, every callback is required
+ */
+var StrictStore = function () {
+	this.entries = {};
+	this.sets = 0;
+};
+
+StrictStore.prototype.get = function (key, callback) {
+	callback(null, this.entries[key]);
+};
+
+StrictStore.prototype.set = function (key, output, options, callback) {
+	this.entries[key] = output;
+	this.sets++;
+	callback(null);
+};
+
+StrictStore.prototype.del = function (key, callback) {
+	delete this.entries[key];
+	callback(null);
+};
+
+StrictStore.prototype.invalidateTag = function (tag, callback) {
+	callback(null);
+};
+
+vows.describe('Fragment Cache').addBatch({
+	'A full memory store' : {
+		topic : function () {
+			var _topic = this;
+			var store = new MemoryStore({ max : 2 });
+
+			store.set('first', 'first output');
+			store.set('second', 'second output');
+			// Using the first entry makes the second the least recently used
+			store.get('first', function () {
+				store.set('third', 'third output');
+				store.get('second', function (error, output) {
+					_topic.callback(null, {store: store, second: output});
+				});
+			});
+		},
+		'removes the least recently used entry' : function (topic) {
+			assert.isUndefined(topic.second);
+			assert.equal(topic.store._size, 2);
+			assert.include(Object.keys(topic.store._entries), 'first');
+		}
+	},
+	'An expired entry' : {
+		topic : function () {
+			var _topic = this;
+			var store = new MemoryStore();
+
+			store.set('expired', 'output', { ttl : -1 });
+			store.get('expired', _topic.callback);
+		},
+		'is a miss' : function (output) {
+			assert.isUndefined(output);
+		}
+	},
+	'A tagged entry' : {
+		topic : function () {
+			var _topic = this;
+			var store = new MemoryStore();
+
+			store.set('menu', 'output', { tags : ['navigation'] });
+			store.set('footer', 'output', { tags : ['layout'] });
+			store.invalidateTag('navigation', function () {
+				store.get('menu', function (error, menu) {
+					store.get('footer', function (error, footer) {
+						_topic.callback(null, {menu: menu, footer: footer});
+					});
+				});
+			});
+		},
+		'is removed with its tag' : function (topic) {
+			assert.isUndefined(topic.menu);
+		},
+		'leaves other tags alone' : function (topic) {
+			assert.equal(topic.footer, 'output');
+		}	},
+	'A view cached in a store of its own' : {
+		topic : function () {
+			var _topic = this;
+			var store = new StrictStore();
+			var environment = bifocals_module.createInstance();
+			var loads = 0;
+
+			var render = function () {
+				return environment.renderToString('page', {}, function (view) {
+					view.content_type = 'text/x-cache';
+					view.child('menu', 'menu', { cache : { key : 'menu' } }).load(function (menu, done) {
+						loads++;
+						menu.set('loads', loads);
+						done();
+					});
+				});
+			};
+
+			environment.setCacheStore(store);
+			environment.addRenderer('text/x-cache', function (template, data, callback) {
+				callback(null, template + '(' + (data.menu || data.loads) + ')');
+			});
+
+			render().then(function () {
+				return render();
+			}).then(function (output) {
+				_topic.callback(null, {output: output, store: store});
+			}, _topic.callback);
+		},
+		'writes to the store with a callback' : function (topic) {
+			assert.equal(topic.store.sets, 1);
+			assert.equal(topic.store.entries.menu, 'menu(1)');
+		},
+		'renders from the store' : function (topic) {
+			assert.equal(topic.output, 'page(menu(1))');
+		}
+	},
+	'A cached list of children' : {
+		topic : function () {
+			var _topic = this;
+			var store = new StrictStore();
+			var environment = bifocals_module.createInstance();
+			var items = [{ id : 1 }, { id : 2 }, { id : 3 }];
+
+			var render = function (cache) {
+				return environment.renderToString('page', {}, function (view) {
+					view.content_type = 'text/x-cache';
+					view.children('posts', items, 'post', { cache : cache });
+				});
+			};
+
+			environment.setCacheStore(store);
+			environment.addRenderer('text/x-cache', function (template, data, callback) {
+				callback(null, template === 'page' ? data.posts.join(',') : 'post ' + data.id);
+			});
+
+			render({ key : 'posts' }).then(function () {
+				return render({ key : 'posts' });
+			}).then(function (indexed) {
+				return render({
+					key : function (item) {
+						return 'post:' + item.id;
+					}
+				}).then(function (named) {
+					_topic.callback(null, {indexed: indexed, named: named, store: store});
+				});
+			}).catch(_topic.callback);
+		},
+		'caches each child under a key of its own' : function (topic) {
+			assert.equal(topic.indexed, 'post 1,post 2,post 3');
+			assert.equal(topic.store.entries['posts[0]'], 'post 1');
+			assert.equal(topic.store.entries['posts[2]'], 'post 3');
+		},
+		'calls a key function with each item' : function (topic) {
+			assert.equal(topic.named, 'post 1,post 2,post 3');
+			assert.equal(topic.store.entries['post:2'], 'post 2');
+		}
+	}
+}).export(module);
@@ -0,0 +1,216 @@
+"use strict";
+var vows = require('vows');
+var assert = require('assert');
+var fs_module = require('fs');
+var os_module = require('os');
+var path_module = require('path');
+
+var HandlebarsRenderer = require('../renderers/handlebars_renderer');
+
+var dir = fs_module.mkdtempSync(path_module.join(os_module.tmpdir(), 'bifocals-'));
+fs_module.mkdirSync(path_module.join(dir, 'nested'));
+fs_module.writeFileSync(path_module.join(dir, 'index.html'), 'Hello {{name}}');
+fs_module.writeFileSync(path_module.join(dir, 'nested', 'item.html'), 'Item {{name}}');
+fs_module.writeFileSync(path_module.join(dir, 'page.html'), '<b>{{> user/badge}}</b>');
+fs_module.mkdirSync(path_module.join(dir, 'partials'));
+fs_module.mkdirSync(path_module.join(dir, 'partials', 'user'));
+fs_module.writeFileSync(path_module.join(dir, 'partials', 'user', 'badge.html'), '{{shout name}}');
+fs_module.writeFileSync(path_module.join(dir, 'text.txt'), 'Plain {{name}}');
+
+/**
+ * Renders a template into a string, with HandlebarsRenderer unless another renderer class is provided
+ */
+var render = function (template, data, callback, Renderer) {
+	var RendererClass = Renderer || HandlebarsRenderer;
+	var renderer = new RendererClass();
+	var output = '';
+
+	renderer.data = data;
+	renderer.response = {
+		write : function (chunk) {
+			output += chunk;
+		},
+		end : function () {}
+	};
+
+	renderer.error(function (err) {
+		callback(err);
+	});
+
+	renderer.end(function () {
+		callback(null, output);
+	});
+
+	renderer.render(template);
+};
+
+/**
+ * Rewrites a template with a new modification time, so it does not depend on the file system's time resolution
+ */
+var rewrite = function (file, source) {
+	var later = new Date(Date.now() + 10000);
+	fs_module.writeFileSync(file, source);
+	fs_module.utimesSync(file, later, later);
+};
+
+vows.describe('Handlebars Renderer').addBatch({
+	'Precompiling a directory' : {
+		topic : function () {
+			HandlebarsRenderer.precompile(dir, this.callback);
+		},
+		'compiles every template' : function (err, result) {
+			assert.isNull(err);
+		}
+	}
+}).addBatch({
+	'Rendering a changed template without reloading' : {
+		topic : function () {
+			rewrite(path_module.join(dir, 'nested', 'item.html'), 'Changed {{name}}');
+			render(path_module.join(dir, 'nested', 'item'), { name : 'a' }, this.callback);
+		},
+		'uses the precompiled template' : function (err, output) {
+			assert.isNull(err);
+			assert.equal(output, 'Item a');
+		}
+	}
+}).addBatch({
+	'Rendering a changed template with reloading' : {
+		topic : function () {
+			HandlebarsRenderer.reload = true;
+			render(path_module.join(dir, 'nested', 'item'), { name : 'a' }, this.callback);
+		},
+		'recompiles the template' : function (err, output) {
+			HandlebarsRenderer.reload = false;
+			assert.isNull(err);
+			assert.equal(output, 'Changed a');
+		}
+	}
+}).addBatch({
+	'Rendering after clearing the cache' : {
+		topic : function () {
+			rewrite(path_module.join(dir, 'index.html'), 'Goodbye {{name}}');
+			HandlebarsRenderer.clearCache(path_module.join(dir, 'index'));
+			render(path_module.join(dir, 'index'), { name : 'b' }, this.callback);
+		},
+		'reads the template from disk' : function (err, output) {
+			assert.isNull(err);
+			assert.equal(output, 'Goodbye b');
+		}
+	},
+	'Rendering a missing template' : {
+		topic : function () {
+			render(path_module.join(dir, 'missing'), {}, this.callback);
+		},
+		'reports the error' : function (err, output) {
+			assert.equal(err.code, 'ENOENT');
+		}
+	},
+	'Precompiling a missing directory' : {
+		topic : function () {
+			HandlebarsRenderer.precompile(path_module.join(dir, 'missing'), this.callback);
+		},
+		'reports the error' : function (err, result) {
+			assert.equal(err.code, 'ENOENT');
+		}
+	},
+	'Registering partials from a missing directory' : {
+		topic : function () {
+			HandlebarsRenderer.registerPartials(path_module.join(dir, 'missing'), this.callback);
+		},
+		'reports the error' : function (err, result) {
+			assert.equal(err.code, 'ENOENT');
+		}
+	},
+	'Precompiling without a callback' : {
+		'throws at once' : function () {
+			assert.throws(function () {
+				HandlebarsRenderer.precompile(path_module.join(dir, 'missing'));
+			}, /requires a callback/);
+			assert.throws(function () {
+				HandlebarsRenderer.registerPartials(path_module.join(dir, 'missing'));
+			}, /requires a callback/);
+		}
+	}
+}).addBatch({
+	'Rendering with partials and helpers' : {
+		topic : function () {
+			var callback = this.callback;
+
+			HandlebarsRenderer.registerHelper('shout', function (value) {
+				return value.toUpperCase() + '!';
+			});
+
+			HandlebarsRenderer.registerPartials(path_module.join(dir, 'partials'), function (err) {
+				if (err) {
+					return callback(err);
+				}
+				render(path_module.join(dir, 'page'), { name : 'c' }, callback);
+			});
+		},
+		'includes the partial, named by its relative path' : function (err, output) {
+			assert.isNull(err);
+			assert.equal(output, '<b>C!</b>');
+		},
+		'does not register them globally' : function (err, output) {
+			assert.isUndefined(require('handlebars').helpers.shout);
+			assert.isUndefined(require('handlebars').partials['user/badge']);
+		}
+	},
+	'Rendering a path that includes the extension' : {
+		topic : function () {
+			render(path_module.join(dir, 'index.html'), { name : 'd' }, this.callback);
+		},
+		'does not append it again' : function (err, output) {
+			assert.isNull(err);
+			assert.equal(output, 'Goodbye d');
+		}
+	}
+}).addBatch({
+	'A renderer created with HandlebarsRenderer.create' : {
+		topic : function () {
+			var callback = this.callback;
+			var Created = HandlebarsRenderer.create();
+
+			Created.registerHelper('shout', function (value) {
+				return value.toLowerCase() + '?';
+			});
+
+			Created.registerPartials(path_module.join(dir, 'partials'), function (err) {
+				if (err) {
+					return callback(err);
+				}
+				render(path_module.join(dir, 'page'), { name : 'F' }, function (err, output) {
+					callback(err, { Created : Created, output : output });
+				}, Created);
+			});
+		},
+		'is a subclass of HandlebarsRenderer' : function (err, topic) {
+			assert.isNull(err);
+			assert.instanceOf(new topic.Created(), HandlebarsRenderer);
+		},
+		'uses its own helpers and partials' : function (err, topic) {
+			assert.equal(topic.output, '<b>f?</b>');
+			assert.notStrictEqual(topic.Created.handlebars, HandlebarsRenderer.handlebars);
+			assert.equal(HandlebarsRenderer.handlebars.helpers.shout('g'), 'G!');
+		},
+		'keeps its own compiled templates' : function (err, topic) {
+			var file_path = path_module.join(dir, 'page.html');
+			assert.include(topic.Created._compiled_views, file_path);
+			topic.Created.clearCache();
+			assert.isEmpty(topic.Created._compiled_views);
+			assert.isNotEmpty(HandlebarsRenderer._compiled_views);
+		}
+	}
+}).addBatch({
+	'Rendering with another extension' : {
+		topic : function () {
+			HandlebarsRenderer.extension = '.txt';
+			render(path_module.join(dir, 'text'), { name : 'e' }, this.callback);
+		},
+		'uses the configured extension' : function (err, output) {
+			HandlebarsRenderer.extension = '.html';
+			assert.isNull(err);
+			assert.equal(output, 'Plain e');
+		}
+	}
+}).export(module);
@@ -125,6 +125,1138 @@ vows.describe('View Component').addBatch({
 		'is complete' : function (view) {
 			assert.equal(view.view.render_state, bifocals_module.RENDER_STATES.RENDER_COMPLETE);
 		},
+	},
+	'A view that is not acceptable' : {
+		topic: function () {
+			var _topic = this;
+			var view = new View({
+				buffer : '',
+				headers : {},
+				setHeader : function (key, value) {
+					this.headers[key] = value;
+				},
+				write : function (chunk) {
+					this.buffer += chunk;
+				},
+				end : function () {
+					_topic.callback(null, {view: view, response: this});
+				}
+			});
+
+			view.content_type = 'text/html';
+			view.statusNotAcceptable(['text/html', 'application/json']);
+		},
+		'has a 406 status code' : function (view) {
+			assert.equal(view.response.statusCode, 406);
+		},
+		'lists the available content types' : function (view) {
+			assert.equal(view.response.headers['Content-Type'], 'text/plain');
+			assert.equal(view.response.buffer, "text/html\napplication/json");
+		},
+		'is canceled' : function (view) {
+			assert.equal(view.view.render_state, bifocals_module.RENDER_STATES.RENDER_CANCELED);
+		}
+	},
+	'An html view rendered with promises' : {
+		topic: function () {
+			var _topic = this;
+			var buffer = '';
+			var view = new View({
+				write : function (chunk) {
+					buffer += chunk;
+				},
+				end : function () {}
+			});
+
+			view.content_type = 'text/html';
+			view.error(function () {});
+
+			var child = view.child('status');
+			child.renderWhen(new Promise(function (resolve) {
+				setTimeout(function () {
+					resolve({ status : 'promised' });
+				}, 5);
+			}), 'view_example');
+
+			view.render('view_example').then(function (resolved) {
+				_topic.callback(null, {view: view, resolved: resolved, buffer: buffer});
+			}, function (error) {
+				_topic.callback(error);
+			});
+		},
+		'resolves once the response has ended' : function (view) {
+			assert.equal(view.buffer, "view_example {view_example {promised,},}");
+		},
+		'resolves with the view' : function (view) {
+			assert.strictEqual(view.resolved, view.view);
+		}
+	},
+	'An html view with a rejected promise of data' : {
+		topic: function () {
+			var _topic = this;
+			var handled = null;
+			var view = new View({
+				write : function () {},
+				end : function () {}
+			});
+
+			view.content_type = 'text/html';
+			view.error(function (error) {
+				handled = error;
+			});
+
+			view.child('status').renderWhen(Promise.reject(new Error('database down')), 'view_example').catch(function (error) {
+				_topic.callback(null, {view: view, error: error, handled: handled});
+			});
+			view.render('view_example');
+		},
+		'rejects the child promise' : function (view) {
+			assert.equal(view.error.message, 'database down');
+		},
+		'calls the error handler' : function (view) {
+			assert.strictEqual(view.handled, view.error);
+		},
+		'fails the child' : function (view) {
+			assert.equal(view.view._child_views.status.render_state, bifocals_module.RENDER_STATES.RENDER_FAILED);
+		}
+	},
+	'A streamed html view' : {
+		topic: function () {
+			var _topic = this;
+			var chunks = [];
+			var slow_child = null;
+			var view = new View({
+				write : function (chunk) {
+					chunks.push({ chunk : chunk, slow_child_rendered : slow_child.isRendered() });
+				},
+				end : function () {
+					_topic.callback(null, {view: view, chunks: chunks});
+				}
+			});
+
+			view.content_type = 'text/html';
+			view.render_mode = bifocals_module.RENDER_MODES.STREAMED;
+			view.error(function (error) {
+				throw error;
+			});
+
+			slow_child = view.child('slow');
+			var fast_child = view.child('fast');
+
+			view.render('view_example');
+			fast_child.set('status', 'fast').render('view_example');
+			setTimeout(function () {
+				slow_child.set('status', 'slow').render('view_example');
+			}, 10);
+		},
+		'renders correctly' : function (view) {
+			assert.equal(view.chunks.map(function (write) {
+				return write.chunk;
+			}).join(''), "view_example {view_example {slow,},view_example {fast,},}");
+		},
+		'writes the first section before the slow child completes' : function (view) {
+			assert.equal(view.chunks[0].chunk, "view_example {");
+			assert.isFalse(view.chunks[0].slow_child_rendered);
+		},
+		'holds back sections after the slow child' : function (view) {
+			assert.equal(view.chunks.length, 5);
+			assert.isTrue(view.chunks[1].slow_child_rendered);
+		},
+		'is complete' : function (view) {
+			assert.equal(view.view.render_state, bifocals_module.RENDER_STATES.RENDER_COMPLETE);
+		}
+	},
+	'A streamed html view with a content type set before rendering' : {
+		topic: function () {
+			var _topic = this;
+			var headers = { 'Content-Type' : 'text/html; charset=utf-8' };
+			var view = new View({
+				setHeader : function (name, value) {
+					headers[name] = value;
+				},
+				getHeader : function (name) {
+					return headers[name];
+				},
+				write : function () {},
+				end : function () {
+					_topic.callback(null, headers);
+				}
+			});
+
+			view.content_type = 'text/html';
+			view.render_mode = bifocals_module.RENDER_MODES.STREAMED;
+			view.child('fast').render('view_example');
+			view.render('view_example');
+		},
+		'keeps it' : function (headers) {
+			assert.equal(headers['Content-Type'], 'text/html; charset=utf-8');
+		}
+	},
+	'A streamed html view without a content type header' : {
+		topic: function () {
+			var _topic = this;
+			var headers = {};
+			var view = new View({
+				setHeader : function (name, value) {
+					headers[name] = value;
+				},
+				getHeader : function (name) {
+					return headers[name];
+				},
+				write : function () {},
+				end : function () {
+					_topic.callback(null, headers);
+				}
+			});
+
+			view.content_type = 'text/html';
+			view.render_mode = bifocals_module.RENDER_MODES.STREAMED;
+			view.child('fast').render('view_example');
+			view.render('view_example');
+		},
+		'sets the view\'s content type' : function (headers) {
+			assert.equal(headers['Content-Type'], 'text/html');
+		}
+	},
+	'A streamed view whose template skips a child' : {
+		topic: function () {
+			var _topic = this;
+			var environment = bifocals_module.createInstance();
+			var results = {};
+			var pending = 2;
+
+			environment.addRenderer('text/x-streamed', function (template, data, done) {
+				done(null, template + ':' + data.shown);
+			});
+
+			[bifocals_module.RENDER_MODES.STREAMED, bifocals_module.RENDER_MODES.PIPELINED].forEach(function (mode) {
+				var writes = [];
+				var view = environment.createView({
+					write : function (chunk) {
+						writes.push(chunk);
+					},
+					end : function () {}
+				});
+
+				view.content_type = 'text/x-streamed';
+				view.render_mode = mode;
+				view.child('shown').render('shown');
+				view.child('hidden').render('hidden');
+				view.render('page').catch(function (error) {
+					results[mode] = { error : error, writes : writes };
+					pending--;
+					if (pending === 0) {
+						_topic.callback(null, results);
+					}
+				});
+			});
+		},
+		'fails instead of ending the response early' : function (results) {
+			[bifocals_module.RENDER_MODES.STREAMED, bifocals_module.RENDER_MODES.PIPELINED].forEach(function (mode) {
+				assert.match(results[mode].error.message, /did not output the child "hidden"/);
+				assert.deepEqual(results[mode].writes, []);
+			});
+		}
+	},
+	'A pipelined html view' : {
+		topic: function () {
+			var _topic = this;
+			var chunks = [];
+			var view = new View({
+				write : function (chunk) {
+					chunks.push(chunk);
+				},
+				end : function () {
+					_topic.callback(null, {view: view, chunks: chunks});
+				}
+			});
+
+			view.content_type = 'text/html';
+			view.render_mode = bifocals_module.RENDER_MODES.PIPELINED;
+			view.error(function (error) {
+				throw error;
+			});
+
+			var slow_child = view.child('slow');
+			var fast_child = view.child('fast');
+
+			view.render('view_example');
+			fast_child.set('status', 'fast').render('view_example');
+			setTimeout(function () {
+				slow_child.set('status', 'slow').render('view_example');
+			}, 10);
+		},
+		'writes the layout with placeholders first' : function (view) {
+			assert.equal(view.chunks[0], 'view_example {<span id="bifocals-slot-1"></span>,<span id="bifocals-slot-3"></span>,}');
+		},
+		'writes each child as it completes' : function (view) {
+			assert.equal(view.chunks.length, 3);
+			assert.include(view.chunks[1], '<div hidden id="bifocals-slot-3-fill">view_example {fast,}</div>');
+			assert.include(view.chunks[2], '<div hidden id="bifocals-slot-1-fill">view_example {slow,}</div>');
+		},
+		'is complete' : function (view) {
+			assert.equal(view.view.render_state, bifocals_module.RENDER_STATES.RENDER_COMPLETE);
+		}
+	},
+	'An html view with a child that times out' : {
+		topic: function () {
+			var _topic = this;
+			var timed_out = [];
+			var child = null;
+			var view = new View({
+				buffer : '',
+				write : function (chunk) {
+					this.buffer += chunk;
+				},
+				end : function () {
+					_topic.callback(null, {view: view, child: child, buffer: this.buffer, timed_out: timed_out});
+				}
+			});
+
+			view.content_type = 'text/html';
+			view.error(function (error) {
+				throw error;
+			});
+			view.timeout(function (timed_out_view) {
+				timed_out.push(timed_out_view);
+			});
+
+			// This child never renders
+			child = view.child('status', null, {
+				timeout : 10,
+				fallback : 'fallback_example'
+			});
+			view.render('view_example');
+		},
+		'renders the fallback in its place' : function (view) {
+			assert.equal(view.buffer, "view_example {fallback_example {},}");
+		},
+		'reports the child to the timeout handler' : function (view) {
+			assert.deepEqual(view.timed_out, [view.child]);
+		},
+		'ignores a late render' : function (view) {
+			view.child.render('view_example');
+			assert.equal(view.child.template, 'fallback_example');
+			assert.equal(view.child.render_state, bifocals_module.RENDER_STATES.RENDER_COMPLETE);
+		}
+	},
+	'An html view with a child that times out without a fallback' : {
+		topic: function () {
+			var _topic = this;
+			var view = new View({
+				buffer : '',
+				write : function (chunk) {
+					this.buffer += chunk;
+				},
+				end : function () {
+					_topic.callback(null, {view: view, response: this});
+				}
+			});
+
+			view.content_type = 'text/html';
+			view.default500Template = 'error_example';
+			view.error(function (error) {
+				throw error;
+			});
+
+			view.child('status', null, {
+				timeout : 10
+			});
+			view.render('view_example');
+		},
+		'renders the 500 template' : function (view) {
+			assert.equal(view.response.statusCode, 500);
+			assert.equal(view.response.buffer, 'error_example {Error: The view "status" did not render within 10ms,}');
+		}
+	},
+	'An html view that times out' : {
+		topic: function () {
+			var _topic = this;
+			var timed_out = [];
+			var view = new View({
+				buffer : '',
+				write : function (chunk) {
+					this.buffer += chunk;
+				},
+				end : function () {
+					_topic.callback(null, {view: view, buffer: this.buffer, timed_out: timed_out});
+				}
+			});
+
+			view.content_type = 'text/html';
+			view.render_timeout = 10;
+			view.fallback_template = 'fallback_example';
+			view.error(function (error) {
+				throw error;
+			});
+			view.timeout(function (timed_out_view) {
+				timed_out.push(timed_out_view);
+			});
+
+			// This child never renders, so neither does the root
+			view.child('status');
+			view.render('view_example');
+		},
+		'renders the fallback in its place' : function (topic) {
+			assert.equal(topic.buffer, "fallback_example {}");
+			assert.equal(topic.view.render_state, bifocals_module.RENDER_STATES.RENDER_COMPLETE);
+		},
+		'reports the root to the timeout handler' : function (topic) {
+			assert.deepEqual(topic.timed_out, [topic.view]);
+		}
+	},
+	'An html view that times out without a fallback' : {
+		topic: function () {
+			var _topic = this;
+			var view = new View({
+				buffer : '',
+				write : function (chunk) {
+					this.buffer += chunk;
+				},
+				end : function () {
+					_topic.callback(null, {view: view, response: this});
+				}
+			});
+
+			view.content_type = 'text/html';
+			view.render_timeout = 10;
+			view.default500Template = 'error_example';
+			view.error(function (error) {
+				throw error;
+			});
+
+			view.child('status');
+			view.render('view_example');
+		},
+		'renders the 500 template' : function (topic) {
+			assert.equal(topic.response.statusCode, 500);
+			assert.equal(topic.response.buffer, 'error_example {Error: The root view did not render within 10ms,}');
+		}
+	},
+	'An html view with an error handler assigned after its children' : {
+		topic: function () {
+			var _topic = this;
+			var view = new View({
+				write : function () {},
+				end : function () {}
+			});
+
+			view.content_type = 'text/html';
+			var child = view.child('status');
+			var grandchild = child.child('status');
+
+			view.error(function (error, failed_view) {
+				_topic.callback(null, {error: error, failed_view: failed_view, grandchild: grandchild});
+			});
+
+			grandchild.renderWhen(Promise.reject(new Error('database down')), 'view_example');
+			child.render('view_example');
+			view.render('view_example');
+		},
+		'receives errors from grandchildren' : function (topic) {
+			assert.equal(topic.error.message, 'database down');
+		},
+		'receives the view the error occurred in' : function (topic) {
+			assert.strictEqual(topic.failed_view, topic.grandchild);
+		}
+	},
+	'An html view with an error boundary' : {
+		topic: function () {
+			var _topic = this;
+			var errors = [];
+			var view = new View({
+				buffer : '',
+				write : function (chunk) {
+					this.buffer += chunk;
+				},
+				end : function () {
+					_topic.callback(null, {view: view, buffer: this.buffer, errors: errors});
+				}
+			});
+
+			view.content_type = 'text/html';
+			view.error(function (error) {
+				errors.push(error);
+			});
+
+			var widget = view.child('widget', 'view_example', {
+				boundary : 'boundary_example'
+			});
+			widget.child('status').renderWhen(Promise.reject(new Error('widget down')), 'view_example');
+			widget.render();
+
+			view.child('status').set('status', 'intact').render('view_example');
+			view.render('view_example');
+		},
+		'renders the boundary template in place of the child' : function (view) {
+			assert.equal(view.buffer, "view_example {view_example {intact,},boundary_example {Error: widget down,},}");
+		},
+		'does not call the page wide error handler' : function (view) {
+			assert.equal(view.errors.length, 0);
+		},
+		'is complete' : function (view) {
+			assert.equal(view.view.render_state, bifocals_module.RENDER_STATES.RENDER_COMPLETE);
+		}
+	},
+	'An html view with many listeners' : {
+		topic: function () {
+			var _topic = this;
+			var events = [];
+			var ends = 0;
+			var view = new View({
+				write : function () {},
+				end : function () {}
+			});
+
+			view.content_type = 'text/html';
+			['render-requested', 'render-started', 'child-complete', 'end'].forEach(function (name) {
+				view.on(name, function (key) {
+					events.push(name === 'child-complete' ? name + ':' + key : name);
+				});
+			});
+			view.end(function () {
+				ends++;
+			}).end(function () {
+				ends++;
+				_topic.callback(null, {events: events, ends: ends});
+			});
+
+			var child = view.child('status');
+			view.render('view_example');
+			child.render('view_example');
+		},
+		'calls every end listener' : function (topic) {
+			assert.equal(topic.ends, 2);
+		},
+		'emits each lifecycle event in order' : function (topic) {
+			assert.deepEqual(topic.events, ['render-requested', 'child-complete:status', 'render-started', 'end']);
+		}
+	},
+	'An html view with a canceled child that ends late' : {
+		topic: function () {
+			var _topic = this;
+			var states = [];
+			var view = new View({
+				write : function () {},
+				end : function () {}
+			});
+
+			view.content_type = 'text/html';
+			var waiting = view.child('waiting');
+			var canceled = view.child('canceled');
+			canceled.on('statechange', function (state, old_state) {
+				states.push([old_state, state]);
+			});
+
+			view.render('view_example');
+			canceled.cancelRender();
+			canceled._response.end();
+			canceled.render('view_example');
+
+			process.nextTick(function () {
+				_topic.callback(null, {view: view, waiting: waiting, canceled: canceled, states: states, description: view.describe()});
+			});
+		},
+		'stays canceled' : function (topic) {
+			assert.equal(topic.canceled.render_state, bifocals_module.RENDER_STATES.RENDER_CANCELED);
+			assert.deepEqual(topic.states, [[bifocals_module.RENDER_STATES.RENDER_NOT_CALLED, bifocals_module.RENDER_STATES.RENDER_CANCELED]]);
+		},
+		'does not write into the parent' : function (topic) {
+			assert.isUndefined(topic.view.get('canceled'));
+		},
+		'is described with its children' : function (topic) {
+			assert.equal(topic.description.state, 'RENDER_REQUESTED');
+			assert.equal(topic.description.template, 'view_example');
+			assert.isNumber(topic.description.elapsed);
+			assert.deepEqual(topic.description.children.map(function (child) {
+				return child.key + ':' + child.state;
+			}), ['waiting:RENDER_NOT_CALLED', 'canceled:RENDER_CANCELED']);
+		}
+	},
+	'An html view wrapped in nested layouts' : {
+		topic: function () {
+			var _topic = this;
+			var view = new View({
+				buffer : '',
+				write : function (chunk) {
+					this.buffer += chunk;
+				},
+				end : function () {
+					_topic.callback(null, {view: view, buffer: this.buffer});
+				}
+			});
+
+			bifocals_module.addLayout('layout_example', function (layout) {
+				layout.child('header').render('header_example');
+				layout.child('sidebar').render('default_sidebar_example');
+				layout.layout('base_example');
+			});
+
+			view.content_type = 'text/html';
+			view.error(function (error) {
+				throw error;
+			});
+			view.set('status', 'content');
+			view.layout('layout_example', {
+				sidebar : 'sidebar_example'
+			});
+			view.render('view_example');
+		},
+		'renders the view as the content block of each layout' : function (view) {
+			assert.equal(view.buffer, "base_example {header_example {},sidebar_example {},content," +
+				"layout_example {header_example {},sidebar_example {},content,view_example {content,},},}");
+		},
+		'is complete' : function (view) {
+			assert.equal(view.view.render_state, bifocals_module.RENDER_STATES.RENDER_COMPLETE);
+			assert.equal(view.view.describe().layout.layout.state, 'RENDER_COMPLETE');
+		}
+	},
+	'An html view with components' : {
+		topic: function () {
+			var _topic = this;
+			var view = new View({
+				buffer : '',
+				write : function (chunk) {
+					this.buffer += chunk;
+				},
+				end : function () {
+					_topic.callback(null, {view: view, buffer: this.buffer});
+				}
+			});
+
+			bifocals_module.addComponent('userCard', function (card, params, done) {
+				setTimeout(function () {
+					card.set('status', 'user ' + params.id);
+					done(null, 'card_example');
+				}, 5);
+			});
+
+			bifocals_module.addComponent('promised_example', function (card, params) {
+				return Promise.resolve(params).then(function (status) {
+					card.set('status', status);
+				});
+			});
+
+			bifocals_module.addComponent('broken_example', function () {
+				throw new Error('broken component');
+			});
+
+			view.content_type = 'text/html';
+			view.error(function (error) {
+				throw error;
+			});
+			view.component('author', 'userCard', { id : 1 });
+			view.component('promised', 'promised_example', 'promised');
+			view.component('broken', 'broken_example', null, { boundary : 'boundary_example' });
+			view.render('view_example');
+		},
+		'renders each component into its key' : function (view) {
+			assert.equal(view.buffer, "view_example {boundary_example {Error: broken component,},promised_example {promised,},card_example {user 1,},}");
+		},
+		'throws on unknown components' : function (view) {
+			assert.throws(function () {
+				view.view.component('missing', 'missing_example');
+			});
+		}
+	},
+	'An html view with a cached child' : {
+		topic: function () {
+			var _topic = this;
+			var loads = 0;
+			var buffers = [];
+
+			var request = function (callback) {
+				var view = new View({
+					buffer : '',
+					write : function (chunk) {
+						this.buffer += chunk;
+					},
+					end : function () {
+						buffers.push(this.buffer);
+						callback();
+					}
+				});
+
+				view.content_type = 'text/html';
+				view.error(function (error) {
+					throw error;
+				});
+				view.child('menu', 'view_example', {
+					cache : { key : 'menu_example', tags : ['navigation'] }
+				}).load(function (menu, done) {
+					loads++;
+					menu.set('status', 'menu ' + loads);
+					done();
+				});
+				view.render('view_example');
+			};
+
+			request(function () {
+				request(function () {
+					bifocals_module.invalidateCacheTag('navigation', function () {
+						request(function () {
+							_topic.callback(null, {loads: loads, buffers: buffers});
+						});
+					});
+				});
+			});
+		},
+		'renders from the cache until it is invalidated' : function (topic) {
+			assert.deepEqual(topic.buffers, [
+				"view_example {view_example {menu 1,},}",
+				"view_example {view_example {menu 1,},}",
+				"view_example {view_example {menu 2,},}"
+			]);
+		},
+		'skips the loader on a hit' : function (topic) {
+			assert.equal(topic.loads, 2);
+		}
+	},
+	'An html view with a computed ETag' : {
+		topic: function () {
+			var _topic = this;
+			var responses = [];
+
+			var request = function (headers, callback) {
+				var view = new View({
+					buffer : '',
+					headers : {},
+					setHeader : function (key, value) {
+						this.headers[key] = value;
+					},
+					write : function (chunk) {
+						this.buffer += chunk;
+					},
+					end : function () {
+						responses.push(this);
+						callback(this.headers.ETag);
+					}
+				}, { method : 'GET', headers : headers });
+
+				view.content_type = 'text/html';
+				view.auto_etag = true;
+				view.error(function (error) {
+					throw error;
+				});
+				view.render('view_example');
+			};
+
+			request({}, function (etag) {
+				request({ 'if-none-match' : etag }, function () {
+					_topic.callback(null, responses);
+				});
+			});
+		},
+		'sends the ETag with the output' : function (responses) {
+			assert.equal(responses[0].buffer, 'view_example {}');
+			assert.match(responses[0].headers.ETag, /^".+"$/);
+		},
+		'responds with 304 when it matches' : function (responses) {
+			assert.equal(responses[1].statusCode, 304);
+			assert.equal(responses[1].buffer, '');
+		}
+	},
+	'An html view with a matching ETag provided before rendering' : {
+		topic: function () {
+			var _topic = this;
+			var view = new View({
+				buffer : '',
+				headers : {},
+				setHeader : function (key, value) {
+					this.headers[key] = value;
+				},
+				write : function (chunk) {
+					this.buffer += chunk;
+				},
+				end : function () {}
+			}, { method : 'GET', headers : { 'if-none-match' : '"v1"' } });
+
+			view.content_type = 'text/html';
+			view.etag('v1').cacheControl({ private : true, max_age : 60 });
+			view.child('status').render('view_example');
+			view.render('view_example').then(function (resolved) {
+				_topic.callback(null, {view: view, response: view._response, resolved: resolved});
+			}, _topic.callback);
+		},
+		'resolves the render promise' : function (topic) {
+			assert.strictEqual(topic.resolved, topic.view);
+		},
+		'responds with 304 without rendering' : function (topic) {
+			assert.equal(topic.response.statusCode, 304);
+			assert.equal(topic.response.buffer, '');
+			assert.equal(topic.view.render_state, bifocals_module.RENDER_STATES.RENDER_CANCELED);
+		},
+		'sends the cache headers' : function (topic) {
+			assert.equal(topic.response.headers.ETag, '"v1"');
+			assert.equal(topic.response.headers['Cache-Control'], 'private, max-age=60');
+		}
+	}
+}).addBatch({
+	'An html view with a list of children' : {
+		topic: function () {
+			var _topic = this;
+			var running = 0;
+			var most_running = 0;
+			var view = new View({
+				buffer : '',
+				write : function (chunk) {
+					this.buffer += chunk;
+				},
+				end : function () {
+					_topic.callback(null, {view: view, buffer: this.buffer, most_running: most_running});
+				}
+			});
+
+			view.content_type = 'text/html';
+			view.error(function (error) {
+				throw error;
+			});
+			view.children('posts', [30, 10, 20], 'view_example', function (child, delay, done) {
+				running++;
+				most_running = Math.max(running, most_running);
+
+				setTimeout(function () {
+					running--;
+					child.set('status', delay);
+					done(null);
+				}, delay);
+			}, { concurrency : 2 });
+			view.render('view_example');
+		},
+		'renders the list in order' : function (topic) {
+			assert.equal(topic.buffer, "view_example {view_example {30,},view_example {10,},view_example {20,},}");
+		},
+		'limits how many loaders run at once' : function (topic) {
+			assert.equal(topic.most_running, 2);
+		}
+	},
+	'An html view with an empty list of children' : {
+		topic: function () {
+			var _topic = this;
+			var view = new View({
+				buffer : '',
+				write : function (chunk) {
+					this.buffer += chunk;
+				},
+				end : function () {
+					_topic.callback(null, {view: view, buffer: this.buffer});
+				}
+			});
+
+			view.content_type = 'text/html';
+			view.children('posts', [], 'view_example');
+			view.render('view_example');
+		},
+		'renders an empty list' : function (topic) {
+			assert.equal(topic.buffer, "view_example {,}");
+			assert.deepEqual(topic.view.get('posts'), []);
+		}
+	},
+	'An html view with a list of children and no loader' : {
+		topic: function () {
+			var _topic = this;
+			var view = new View({
+				buffer : '',
+				write : function (chunk) {
+					this.buffer += chunk;
+				},
+				end : function () {
+					_topic.callback(null, {view: view, buffer: this.buffer});
+				}
+			});
+
+			view.content_type = 'text/html';
+			view.children('posts', [{ status : 'a' }, { status : 'b' }], 'view_example');
+			view.render('view_example');
+		},
+		'sets each item on its child' : function (topic) {
+			assert.equal(topic.buffer, "view_example {view_example {a,},view_example {b,},}");
+		}
+	}
+}).addBatch({
+	'An html view held open for a child created after render' : {
+		topic: function () {
+			var _topic = this;
+			var error = null;
+			var release = null;
+			var view = new View({
+				buffer : '',
+				write : function (chunk) {
+					this.buffer += chunk;
+				},
+				end : function () {
+					_topic.callback(null, {view: view, buffer: this.buffer, error: error});
+				}
+			});
+
+			view.content_type = 'text/html';
+			view.child('status').render('view_example');
+			release = view.defer();
+			view.render('view_example');
+
+			setTimeout(function () {
+				view.child('late').set('status', 'late').render('view_example');
+				release();
+				release();
+
+				view.end(function () {
+					try {
+						view.child('too_late');
+					} catch (e) {
+						error = e;
+					}
+				});
+			}, 10);
+		},
+		'waits for the child' : function (topic) {
+			assert.equal(topic.buffer, "view_example {view_example {},view_example {late,},}");
+		},
+		'does not allow children once it has rendered' : function (topic) {
+			assert.instanceOf(topic.error, Error);
+		}
+	}
+}).addBatch({
+	'A view rendered to a string' : {
+		topic: function () {
+			View.renderToString('view_example', { status : 'parent' }, function (view) {
+				view.child('header').set('status', 'child').render('view_example');
+			}, this.callback);
+		},
+		'renders the children' : function (err, output) {
+			assert.isNull(err);
+			assert.equal(output, "view_example {parent,view_example {child,},}");
+		}
+	},
+	'A view that fails while rendering to a string' : {
+		topic: function () {
+			var _topic = this;
+
+			View.renderToString('view_example', {}, function (view) {
+				view.child('header').load(function (child, done) {
+					done(new Error('Failed to load'));
+				});
+			}).then(function (output) {
+				_topic.callback(null, output);
+			}, function (error) {
+				_topic.callback(null, error);
+			});
+		},
+		'rejects the promise' : function (error) {
+			assert.instanceOf(error, Error);
+			assert.equal(error.message, 'Failed to load');
+		}
+	},
+	'A view that responds with a 404 while rendering to a string' : {
+		topic: function () {
+			var _topic = this;
+
+			View.renderToString(null, {}, function (view) {
+				view.statusNotFound();
+			}).then(function (output) {
+				_topic.callback(null, output);
+			}, function (error) {
+				_topic.callback(null, error);
+			});
+		},
+		'rejects the promise with the status code' : function (error) {
+			assert.instanceOf(error, Error);
+			assert.equal(error.status, 404);
+		}
+	},
+	'A view with a child that times out while rendering to a string' : {
+		topic: function () {
+			var _topic = this;
+
+			View.renderToString('view_example', {}, function (view) {
+				view.child('header', null, { timeout : 10 });
+			}).then(function (output) {
+				_topic.callback(null, output);
+			}, function (error) {
+				_topic.callback(null, error);
+			});
+		},
+		'rejects the promise' : function (error) {
+			assert.instanceOf(error, Error);
+			assert.equal(error.message, 'The view "header" did not render within 10ms');
+		}
+	},
+	'A view that renders its 500 template while rendering to a string' : {
+		topic: function () {
+			var _topic = this;
+
+			View.renderToString('view_example', {}, function (view) {
+				view.default500Template = 'error_example';
+				view.child('header', null, { timeout : 10 });
+			}).then(function (output) {
+				_topic.callback(null, output);
+			}, function (error) {
+				_topic.callback(null, error);
+			});
+		},
+		'rejects the promise with the status code' : function (error) {
+			assert.instanceOf(error, Error);
+			assert.equal(error.status, 500);
+		}
+	},
+	'A view rendered to a stream' : {
+		topic: function () {
+			var _topic = this;
+			var output = '';
+
+			View.renderToStream('view_example', { status : 'streamed' }).on('data', function (chunk) {
+				output += chunk;
+			}).on('end', function () {
+				_topic.callback(null, output);
+			});
+		},
+		'writes the output to the stream' : function (output) {
+			assert.equal(output, "view_example {streamed,}");
+		}
+	}
+}).addBatch({
+	'An html view with children rendered by other engines' : {
+		topic: function () {
+			var _topic = this;
+			var view = new View({
+				buffer : '',
+				write : function (chunk) {
+					this.buffer += chunk;
+				},
+				end : function () {
+					_topic.callback(null, {view: view, buffer: this.buffer});
+				}
+			});
+
+			bifocals_module.addEngine('markdown', function (template, data, callback) {
+				callback(null, '<p>' + data.status + '</p>');
+			}, ['.md']);
+			bifocals_module.addEngine('shout', function (template, data, callback) {
+				callback(null, String(data.status).toUpperCase());
+			});
+
+			view.content_type = 'text/html';
+			view.child('intro').set('status', 'markdown').render('intro.md');
+			view.child('title', null, { engine : 'shout' }).set('status', 'loud').render('view_example');
+			view.child('footer').set('status', 'html').render('view_example');
+			view.render('view_example');
+		},
+		'picks the engine by extension' : function (topic) {
+			assert.equal(topic.view.get('intro'), '<p>markdown</p>');
+		},
+		'picks the engine by name' : function (topic) {
+			assert.equal(topic.view.get('title'), 'LOUD');
+		},
+		'uses the content type otherwise' : function (topic) {
+			assert.equal(topic.buffer, "view_example {<p>markdown</p>,LOUD,view_example {html,},}");
+		}
+	},
+	'A content type registered to an engine name' : {
+		topic: function () {
+			bifocals_module.addRenderer('text/x-shout', 'shout');
+			return bifocals_module.getRenderer('text/x-shout');
+		},
+		'uses the engine' : function (renderer) {
+			assert.strictEqual(renderer, bifocals_module.getEngine('shout'));
+		},
+		'throws for unknown engines' : function (renderer) {
+			assert.throws(function () {
+				bifocals_module.getEngine('missing');
+			}, /Unknown engine :missing/);
+		}
+	}
+}).addBatch({
+	'A view that redirects instead of rendering' : {
+		topic : function () {
+			var callback = this.callback;
+			var view = new View({ headers : {}, setHeader : function (key, value) { this.headers[key] = value; }, write : function () {}, end : function () {} });
+
+			view.content_type = 'text/html';
+			view.child('header').render('view_example');
+			view.render('view_example').then(function (resolved) {
+				callback(null, resolved === view);
+			}, callback);
+			view.statusRedirect('/elsewhere');
+		},
+		'resolves the render promise' : function (err, resolved) {
+			assert.isNull(err);
+			assert.isTrue(resolved);
+		}
+	},
+	'A view that responds with a 404 without a template' : {
+		topic : function () {
+			var callback = this.callback;
+			var view = new View({ write : function () {}, end : function () {} });
+
+			view.content_type = 'text/html';
+			view.child('header');
+			view.render('view_example').then(function () {
+				callback(new Error('The render should not resolve'));
+			}, function (error) {
+				callback(null, error);
+			});
+			view.statusNotFound();
+		},
+		'rejects the render promise with the status code' : function (err, error) {
+			assert.isNull(err);
+			assert.equal(error.status, 404);
+			assert.equal(error.message, 'Not Found');
+		}
+	},
+	'A view with a failing child, observed only through its promise' : {
+		topic : function () {
+			var callback = this.callback;
+			var view = new View({ write : function () {}, end : function () {} });
+
+			view.content_type = 'text/html';
+			view.child('header').renderWhen(Promise.reject(new Error('Broken child')), 'view_example');
+			view.render('view_example').then(function () {
+				callback(new Error('The render should not resolve'));
+			}, function (error) {
+				callback(null, { view : view, error : error });
+			});
+		},
+		'rejects the render promise with the error' : function (err, topic) {
+			assert.isNull(err);
+			assert.equal(topic.error.message, 'Broken child');
+		},
+		'fails the root' : function (err, topic) {
+			assert.equal(topic.view.render_state, bifocals_module.RENDER_STATES.RENDER_FAILED);
+		}
+	},
+	'A view with a failing child and an error handler' : {
+		topic : function () {
+			var callback = this.callback;
+			var handled = [];
+			var view = new View({ write : function () {}, end : function () {} });
+
+			view.content_type = 'text/html';
+			view.error(function (error) {
+				handled.push(error);
+			});
+			view.child('header').renderWhen(Promise.reject(new Error('Broken child')), 'view_example');
+			view.render('view_example').catch(function (error) {
+				callback(null, { handled : handled, error : error });
+			});
+		},
+		'calls the handler and rejects the render promise' : function (err, topic) {
+			assert.equal(topic.handled.length, 1);
+			assert.strictEqual(topic.error, topic.handled[0]);
+		}
+	},
+	'A view whose own template fails, observed only through its promise' : {
+		topic : function () {
+			var callback = this.callback;
+			var view = new View({ write : function () {}, end : function () {} });
+
+			view.content_type = 'text/html';
+			view.engine = 'missing';
+			view.render('view_example').catch(function (error) {
+				callback(null, error);
+			});
+		},
+		'rejects the render promise instead of throwing' : function (err, error) {
+			assert.match(error.message, /Unknown engine :missing/);
+		}
 	}
 }).export(module); // Export the Suite
 
@@ -0,0 +1,122 @@
+"use strict";
+var vows = require('vows');
+var assert = require('assert');
+var fs_module = require('fs');
+var os_module = require('os');
+var path_module = require('path');
+
+var bifocals_module = require('../index');
+var View = bifocals_module.Bifocals;
+var JsonRenderer = require('../renderers/json_renderer');
+
+var dir = fs_module.mkdtempSync(path_module.join(os_module.tmpdir(), 'bifocals-')) + '/';
+fs_module.writeFileSync(dir + 'post.js', 'module.exports = function (data) { return { title : data.title, author : data.author, comments : data.comments }; };');
+fs_module.writeFileSync(dir + 'user.js', 'module.exports = { toJSON : function (data) { return { name : data.name }; } };');
+fs_module.writeFileSync(dir + 'comment.js', 'module.exports = function (data) { return data.text; };');
+fs_module.writeFileSync(dir + 'value.js', 'module.exports = function (data) { return data.value; };');
+fs_module.writeFileSync(dir + 'values.js', 'module.exports = function (data) { return { count : data.count, flag : data.flag, none : data.none }; };');
+
+bifocals_module.addRenderer('application/json', JsonRenderer);
+JsonRenderer.pretty = false;
+
+/**
+ * Builds a json view around a fake response
+ */
+var jsonView = function (callback, url) {
+	var response = {
+		buffer : '',
+		headers : {},
+		setHeader : function (name, value) {
+			this.headers[name] = value;
+		},
+		write : function (chunk) {
+			this.buffer += chunk;
+		},
+		end : function () {
+			callback(null, response);
+		}
+	};
+	var view = new View(response, { method : 'GET', url : url || '/', headers : {} });
+
+	view.content_type = 'application/json';
+	view.dir = dir;
+	return view;
+};
+
+vows.describe('JSON Renderer').addBatch({
+	'A json view with children' : {
+		topic : function () {
+			var view = jsonView(this.callback);
+
+			view.set('title', 'Hello');
+			view.child('author', 'user').set('name', 'aaron').render();
+			view.child('comments[1]', 'comment').set('text', 'second').render();
+			view.child('comments[0]', 'comment').set('text', 'first').render();
+			view.render('post');
+		},
+		'nests each child' : function (response) {
+			assert.deepEqual(JSON.parse(response.buffer), {
+				title : 'Hello',
+				author : { name : 'aaron' },
+				comments : ['first', 'second']
+			});
+		},
+		'sets the content type' : function (response) {
+			assert.equal(response.headers['Content-Type'], 'application/json');
+		}
+	},
+	'A json view with children that serialize to primitives' : {
+		topic : function () {
+			var view = jsonView(this.callback);
+
+			view.child('count', 'value').set('value', 5).render();
+			view.child('flag', 'value').set('value', false).render();
+			view.child('none', 'value').set('value', null).render();
+			view.render('values');
+		},
+		'nests each value as it is' : function (response) {
+			assert.deepEqual(JSON.parse(response.buffer), {
+				count : 5,
+				flag : false,
+				none : null
+			});
+		}
+	},
+	'A json view requested with a callback parameter' : {
+		topic : function () {
+			var view = jsonView(this.callback, '/posts?callback=jQuery_1.done');
+			view.set('name', 'aaron');
+			view.render('user.js');
+		},
+		'is written as jsonp' : function (response) {
+			assert.equal(response.buffer, '/**/ typeof jQuery_1.done === \'function\' && jQuery_1.done({"name":"aaron"});');
+			assert.equal(response.headers['Content-Type'], 'text/javascript');
+		}
+	},
+	'A json view requested with an unsafe callback parameter' : {
+		topic : function () {
+			var view = jsonView(this.callback, '/posts?callback=alert(1)');
+			view.set('name', 'aaron');
+			view.render('user');
+		},
+		'is written as json' : function (response) {
+			assert.equal(response.buffer, '{"name":"aaron"}');
+		}
+	},
+	'A json view with an error status and no template' : {
+		topic : function () {
+			var view = jsonView(this.callback);
+			view.statusError(new Error('Database unavailable'));
+		},
+		'is written as a problem document' : function (response) {
+			assert.equal(response.statusCode, 500);
+			assert.equal(response.headers['Content-Type'], 'application/problem+json');
+			assert.deepEqual(JSON.parse(response.buffer), {
+				type : 'about:blank',
+				title : 'Internal Server Error',
+				status : 500,
+				detail : 'Database unavailable'
+			});
+		}
+	}
+}).export(module);
@@ -0,0 +1,49 @@
+"use strict";
+var vows = require('vows');
+var assert = require('assert');
+
+var negotiator_module = require('../lib/negotiator');
+
+vows.describe('Content Negotiation').addBatch({
+	'Parsing an Accept header' : {
+		topic : function () {
+			return negotiator_module.parse('text/html;level=1, application/json;q=0.5, */*;q=0.1');
+		},
+		'keeps every media range' : function (ranges) {
+			assert.equal(ranges.length, 3);
+		},
+		'reads q-values' : function (ranges) {
+			assert.equal(ranges[0].q, 1);
+			assert.equal(ranges[1].q, 0.5);
+			assert.equal(ranges[2].q, 0.1);
+		},
+		'ignores other parameters' : function (ranges) {
+			assert.equal(ranges[0].type, 'text');
+			assert.equal(ranges[0].subtype, 'html');
+		}
+	},
+	'Negotiating a content type' : {
+		topic : ['text/html', 'application/json', 'text/plain'],
+		'prefers the highest quality' : function (available) {
+			assert.equal(negotiator_module.negotiate('text/html;q=0.2, application/json', available), 'application/json');
+		},
+		'prefers the order of the header on ties' : function (available) {
+			assert.equal(negotiator_module.negotiate('text/plain, text/html', available), 'text/plain');
+		},
+		'matches type wildcards' : function (available) {
+			assert.equal(negotiator_module.negotiate('text/*', available), 'text/html');
+		},
+		'uses the most specific range' : function (available) {
+			assert.equal(negotiator_module.negotiate('text/*, text/html;q=0', available), 'text/plain');
+		},
+		'treats a missing header as */*' : function (available) {
+			assert.equal(negotiator_module.negotiate(undefined, available), 'text/html');
+		},
+		'returns null when nothing is acceptable' : function (available) {
+			assert.isNull(negotiator_module.negotiate('image/png', available));
+		},
+		'respects q=0 on wildcards' : function (available) {
+			assert.isNull(negotiator_module.negotiate('*/*;q=0', available));
+		}
+	}
+}).export(module);
@@ -0,0 +1,32 @@
+"use strict";
+var vows = require('vows');
+var assert = require('assert');
+
+var PipeWriter = require('../lib/pipe_writer');
+
+vows.describe('Pipe Writer').addBatch({
+	'A layout with a closing body tag' : {
+		topic : function () {
+			var chunks = [];
+			var writer = new PipeWriter({
+				write : function (chunk) {
+					chunks.push(chunk);
+				}
+			}, '<html><body>@@a@@</body></html>', {'@@a@@' : 'content'});
+
+			return {
+				chunks : chunks,
+				first_flush : writer.flush(),
+				second_flush : writer.fill('content', 'Hello').flush()
+			};
+		},
+		'holds back the closing tags until every slot is written' : function (topic) {
+			assert.deepEqual(topic.chunks[0], '<html><body><span id="bifocals-slot-1"></span>');
+			assert.equal(topic.chunks[2], '</body></html>');
+		},
+		'is only complete once every slot is written' : function (topic) {
+			assert.isFalse(topic.first_flush);
+			assert.isTrue(topic.second_flush);
+		}
+	}
+}).export(module);
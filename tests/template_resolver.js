@@ -0,0 +1,214 @@
+"use strict";
+var vows = require('vows');
+var assert = require('assert');
+var fs_module = require('fs');
+var os_module = require('os');
+var path_module = require('path');
+var util_module = require('util');
+
+var bifocals_module = require('../index');
+var template_resolver_module = require('../lib/template_resolver');
+var Renderer = bifocals_module.Renderer;
+
+var CONTENT_TYPE = 'text/x-resolver';
+
+var root = fs_module.mkdtempSync(path_module.join(os_module.tmpdir(), 'bifocals-'));
+var theme = path_module.join(root, 'theme');
+var app = path_module.join(root, 'app');
+var defaults = path_module.join(root, 'defaults');
+
+[theme, app, defaults].forEach(function (dir) {
+	fs_module.mkdirSync(dir);
+});
+
+fs_module.writeFileSync(path_module.join(theme, 'header.txt'), 'theme header');
+fs_module.writeFileSync(path_module.join(app, 'header.txt'), 'app header');
+fs_module.writeFileSync(path_module.join(app, 'page.txt'), 'app page');
+fs_module.writeFileSync(path_module.join(defaults, 'footer.txt'), 'default footer');
+fs_module.writeFileSync(path_module.join(root, 'secret.txt'), 'secret');
+fs_module.writeFileSync(path_module.join(app, 'page.fr.txt'), 'page fr');
+fs_module.mkdirSync(path_module.join(app, 'themes', 'acme'), { recursive : true });
+fs_module.writeFileSync(path_module.join(app, 'themes', 'acme', 'page.txt'), 'acme page');
+
+/**
+ * Writes the contents of the template file
+ */
+var FileContentsRenderer = function () {
+	Renderer.call(this);
+};
+util_module.inherits(FileContentsRenderer, Renderer);
+
+FileContentsRenderer.extension = '.txt';
+
+FileContentsRenderer.prototype.render = function (template) {
+	this.response.write(path_module.relative(root, template) + ':' + fs_module.readFileSync(template, 'utf8'));
+	this._end();
+	this.response.end();
+};
+
+var environment = bifocals_module.createInstance({ dirs : [theme, app, defaults] });
+environment.addRenderer(CONTENT_TYPE, FileContentsRenderer);
+
+/**
+ * Renders a single template, and provides the output or the error
+ */
+var render = function (template, callback, setup) {
+	environment.renderToString(template, {}, function (view) {
+		view.content_type = CONTENT_TYPE;
+
+		if (setup) {
+			setup(view);
+		}
+	}).then(function (output) {
+		callback(null, output);
+	}, function (error) {
+		callback(null, error);
+	});
+};
+
+vows.describe('Template Resolver').addBatch({
+	'A template in more than one directory' : {
+		topic : function () {
+			render('header', this.callback);
+		},
+		'is found in the first directory' : function (err, result) {
+			assert.equal(result, path_module.join('theme', 'header.txt') + ':theme header');
+		}
+	},
+	'A template in a later directory' : {
+		topic : function () {
+			render('footer.txt', this.callback);
+		},
+		'is found' : function (err, result) {
+			assert.equal(result, path_module.join('defaults', 'footer.txt') + ':default footer');
+		}
+	},
+	'A child view' : {
+		topic : function () {
+			var callback = this.callback;
+
+			environment.renderToString('page', {}, function (view) {
+				view.content_type = CONTENT_TYPE;
+				view.child('footer').render('footer');
+			}).then(function (output) {
+				callback(null, output);
+			}, callback);
+		},
+		'searches the same directories' : function (err, result) {
+			assert.isNull(err);
+			assert.equal(result, path_module.join('app', 'page.txt') + ':app page');
+		}
+	},
+	'A missing template' : {
+		topic : function () {
+			render('missing', this.callback);
+		},
+		'lists every path that was searched' : function (err, result) {
+			assert.equal(result.message, 'Template not found :missing, searched: ' + [
+				path_module.join(theme, 'missing'),
+				path_module.join(theme, 'missing.txt'),
+				path_module.join(app, 'missing'),
+				path_module.join(app, 'missing.txt'),
+				path_module.join(defaults, 'missing'),
+				path_module.join(defaults, 'missing.txt')
+			].join(', '));
+		}
+	},
+	'A template that climbs out of the directories' : {
+		topic : function () {
+			render('../secret', this.callback);
+		},
+		'is rejected' : function (err, result) {
+			assert.equal(result.message, 'Template is outside of the template directories :../secret');
+		}
+	},
+	'An absolute template' : {
+		'is only found inside the directories' : function () {
+			assert.deepEqual(template_resolver_module.candidates([theme, app], path_module.join(app, 'page.txt'), { extensions : ['.txt'] }), [path_module.join(app, 'page.txt')]);
+			assert.deepEqual(template_resolver_module.candidates([theme, app], path_module.join(root, 'secret.txt'), { extensions : ['.txt'] }), []);
+		}
+	},
+	'A view with a locale' : {
+		topic : function () {
+			render('page', this.callback, function (view) {
+				view.locale = 'fr-CA';
+			});
+		},
+		'prefers the closest locale variant' : function (err, result) {
+			assert.equal(result, path_module.join('app', 'page.fr.txt') + ':page fr');
+		}
+	},
+	'A view with a theme and a locale' : {
+		topic : function () {
+			render('page', this.callback, function (view) {
+				view.theme = 'acme';
+				view.locale = 'fr';
+			});
+		},
+		'prefers the theme' : function (err, result) {
+			assert.equal(result, path_module.join('app', 'themes', 'acme', 'page.txt') + ':acme page');
+		}
+	},
+	'A view with a theme that has no copy of the template' : {
+		topic : function () {
+			render('header', this.callback, function (view) {
+				view.theme = 'acme';
+			});
+		},
+		'falls back to the template' : function (err, result) {
+			assert.equal(result, path_module.join('theme', 'header.txt') + ':theme header');
+		}
+	},
+	'The variants of a template' : {
+		'are searched from the most specific' : function () {
+			assert.deepEqual(template_resolver_module.candidates([app], 'page', { extensions : ['.txt'], theme : 'acme', locale : 'fr-CA' }), [
+				path_module.join(app, 'themes', 'acme', 'page.fr-CA'),
+				path_module.join(app, 'themes', 'acme', 'page.fr-CA.txt'),
+				path_module.join(app, 'themes', 'acme', 'page.fr'),
+				path_module.join(app, 'themes', 'acme', 'page.fr.txt'),
+				path_module.join(app, 'themes', 'acme', 'page'),
+				path_module.join(app, 'themes', 'acme', 'page.txt'),
+				path_module.join(app, 'page.fr-CA'),
+				path_module.join(app, 'page.fr-CA.txt'),
+				path_module.join(app, 'page.fr'),
+				path_module.join(app, 'page.fr.txt'),
+				path_module.join(app, 'page'),
+				path_module.join(app, 'page.txt')
+			]);
+		},
+		'keep the extension last' : function () {
+			assert.deepEqual(template_resolver_module.candidates([app], 'page.txt', { extensions : ['.txt'], locale : 'fr' }), [
+				path_module.join(app, 'page.fr.txt'),
+				path_module.join(app, 'page.txt')
+			]);
+		},
+		'may not climb out with a theme' : function () {
+			assert.deepEqual(template_resolver_module.candidates([app], 'page.txt', { theme : '../..' }), [path_module.join(app, 'page.txt')]);
+		}
+	},
+	'A view without dirs' : {
+		topic : function () {
+			var callback = this.callback;
+			var view = new bifocals_module.Bifocals({ write : function () {}, end : function () {} });
+
+			view.dir = app + path_module.sep;
+			view.resolveTemplate('../secret', FileContentsRenderer, function (error) {
+				view.resolveTemplate('page', FileContentsRenderer, function (page_error, file_path) {
+					view.locale = 'fr';
+					view.resolveTemplate('page', FileContentsRenderer, function (locale_error, locale_path) {
+						callback(null, { error : error, file_path : file_path, locale_path : locale_path });
+					});
+				});
+			});
+		},
+		'rejects templates that climb out of the dir' : function (topic) {
+			assert.equal(topic.error.message, 'Template is outside of the template directories :../secret');
+		},
+		'prefixes the template with the dir' : function (topic) {
+			assert.equal(topic.file_path, path_module.join(app, 'page'));
+		},
+		'uses a locale variant in the dir when there is one' : function (topic) {
+			assert.equal(topic.locale_path, path_module.join(app, 'page.fr.txt'));
+		}
+	}
+}).export(module);